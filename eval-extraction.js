@@ -0,0 +1,376 @@
+/**
+ * Golden-file evaluation for order form extraction
+ * Runs every case in eval/order-forms through the pattern-matching extractor and the Gemini
+ * extractor (replaying the recorded model response) and reports per-field precision, recall
+ * and exact-match rate.
+ *
+ * Run: node eval-extraction.js [options]
+ *   --extractor <pattern|gemini|all>  Extractors to evaluate (default: all)
+ *   --case <name>                     Only run one corpus case
+ *   --baseline <file>                 Fail if any field scores below the baseline (default: eval/baseline.json)
+ *   --update-baseline                 Write the current scores to the baseline file
+ *   --record                          Call Gemini live and save each case's gemini-response.txt (needs GEMINI_API_KEY)
+ *   --json                            Print the full report as JSON
+ *   --verbose                         Show the server's extraction logging
+ *
+ * Corpus layout - one folder per case:
+ *   eval/order-forms/<case>/document.<pdf|docx|doc|rtf|png|jpg>
+ *   eval/order-forms/<case>/expected.json       { "description": "...", "expected": { <extracted_data fields> },
+ *                                                 "known_misses": { "<extractor>": [<fields>] } }
+ *   eval/order-forms/<case>/gemini-response.txt  Raw Gemini response text recorded with --record, replayed offline
+ *   eval/order-forms/<case>/gemini-response.handwritten.txt  Used when nothing is recorded; written by hand in
+ *                                                 the model's output format, so it tests response parsing, not the model
+ * Only the fields listed in "expected" are scored; null (or []) means the field must not be extracted.
+ * "expected" holds the correct values, not what an extractor currently returns. A field that comes out wrong
+ * fails the run unless it is listed in known_misses, and a listed field that now matches fails it too,
+ * so the list stays accurate.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const option = (name, fallback = null) => {
+    const index = args.indexOf(name);
+    return index !== -1 && args[index + 1] ? args[index + 1] : fallback;
+};
+const flag = (name) => args.includes(name);
+
+const CORPUS_DIR = path.join(__dirname, 'eval', 'order-forms');
+const BASELINE_PATH = path.resolve(option('--baseline', path.join(__dirname, 'eval', 'baseline.json')));
+const RECORD = flag('--record');
+const EXTRACTORS = option('--extractor', 'all') === 'all' ? ['pattern', 'gemini'] : [option('--extractor')];
+const ONLY_CASE = option('--case');
+
+// Stay offline unless recording: an empty key stops server.js (and dotenv) from initializing Gemini
+if (!RECORD) {
+    process.env.GEMINI_API_KEY = '';
+}
+
+// Keep server.js progress logging out of the report (pass --verbose to see it)
+const log = console.log;
+if (!flag('--verbose')) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+const { orderFormExtraction } = require('./server');
+
+const {
+    detectDocumentFormat,
+    extractDocumentText,
+    buildOrderFormExtractionPrompt,
+    parseGeminiExtractionResponse,
+    extractOrderFormData,
+    parseLineItems,
+    applyLineItems,
+    ORDER_FORM_FIELD_LABELS
+} = orderFormExtraction;
+
+const FIELDS = Object.keys(ORDER_FORM_FIELD_LABELS);
+
+// ============================================
+// Corpus
+// ============================================
+
+function loadCorpus() {
+    return fs.readdirSync(CORPUS_DIR, { withFileTypes: true })
+        .filter(entry => entry.isDirectory() && (!ONLY_CASE || entry.name === ONLY_CASE))
+        .map(entry => {
+            const dir = path.join(CORPUS_DIR, entry.name);
+            const files = fs.readdirSync(dir);
+            const documentFile = files.find(file => file.startsWith('document.'));
+            if (!documentFile) throw new Error(`Case ${entry.name} has no document.* file`);
+            const golden = JSON.parse(fs.readFileSync(path.join(dir, 'expected.json'), 'utf8'));
+            return {
+                name: entry.name,
+                dir,
+                documentPath: path.join(dir, documentFile),
+                description: golden.description || '',
+                expected: golden.expected || {},
+                knownMisses: golden.known_misses || {}
+            };
+        })
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ============================================
+// Extraction (same steps as parseOrderFormDocument in server.js)
+// ============================================
+
+async function readCaseDocument(testCase) {
+    const buffer = fs.readFileSync(testCase.documentPath);
+    const format = detectDocumentFormat(buffer);
+    if (!format) throw new Error('Unrecognized document format');
+    return extractDocumentText(buffer, format);
+}
+
+async function runExtractor(extractor, testCase, parsed) {
+    const evidence = {};
+    let data;
+
+    if (extractor === 'pattern') {
+        data = extractOrderFormData(parsed.text, evidence);
+    } else {
+        const recordedPath = path.join(testCase.dir, 'gemini-response.txt');
+        if (RECORD) {
+            fs.writeFileSync(recordedPath, await recordGeminiResponse(parsed.text));
+            log(`   📼 Recorded ${path.relative(__dirname, recordedPath)}`);
+        }
+        const responsePath = [recordedPath, path.join(testCase.dir, 'gemini-response.handwritten.txt')].find(file => fs.existsSync(file));
+        if (!responsePath) return null; // Nothing recorded for this case yet
+        data = parseGeminiExtractionResponse(fs.readFileSync(responsePath, 'utf8'), evidence);
+        data.handwritten = responsePath !== recordedPath;
+    }
+
+    applyLineItems(data, parseLineItems(parsed.tableRows), evidence);
+    return data;
+}
+
+async function recordGeminiResponse(textContent) {
+    if (!process.env.GEMINI_API_KEY) {
+        throw new Error('--record needs GEMINI_API_KEY');
+    }
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    const model = new GoogleGenerativeAI(process.env.GEMINI_API_KEY)
+        .getGenerativeModel({ model: process.env.GEMINI_EVAL_MODEL || 'gemini-2.5-flash' });
+    const result = await model.generateContent(buildOrderFormExtractionPrompt(textContent).text);
+    return (await result.response).text();
+}
+
+// ============================================
+// Scoring
+// ============================================
+
+function normalizeValue(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string') return value.trim().replace(/\s+/g, ' ').toLowerCase();
+    return value;
+}
+
+function lineItemKey(item) {
+    return ['sku', 'description', 'quantity', 'unit_price', 'total']
+        .map(key => normalizeValue(item[key]) ?? '')
+        .join('|');
+}
+
+/**
+ * Compare one field: list fields count matched items, scalar fields count one value
+ */
+function scoreField(field, expected, actual) {
+    if (Array.isArray(expected) || Array.isArray(actual)) {
+        const keyOf = field === 'line_items' ? lineItemKey : normalizeValue;
+        const expectedKeys = new Set((expected || []).map(keyOf));
+        const actualKeys = new Set((actual || []).map(keyOf));
+        const tp = [...actualKeys].filter(key => expectedKeys.has(key)).length;
+        return {
+            tp,
+            fp: actualKeys.size - tp,
+            fn: expectedKeys.size - tp,
+            exact: tp === expectedKeys.size && tp === actualKeys.size
+        };
+    }
+
+    const expectedValue = normalizeValue(expected);
+    const actualValue = normalizeValue(actual);
+    if (expectedValue === null) {
+        return { tp: 0, fp: actualValue === null ? 0 : 1, fn: 0, exact: actualValue === null };
+    }
+    if (actualValue === null) return { tp: 0, fp: 0, fn: 1, exact: false };
+    const match = expectedValue === actualValue;
+    return { tp: match ? 1 : 0, fp: match ? 0 : 1, fn: match ? 0 : 1, exact: match };
+}
+
+function summarize(counts) {
+    const ratio = (a, b) => (b === 0 ? null : Math.round((a / b) * 1000) / 1000);
+    const precision = ratio(counts.tp, counts.tp + counts.fp);
+    const recall = ratio(counts.tp, counts.tp + counts.fn);
+    return {
+        cases: counts.cases,
+        precision,
+        recall,
+        exact_match_rate: ratio(counts.exact, counts.cases),
+        tp: counts.tp,
+        fp: counts.fp,
+        fn: counts.fn
+    };
+}
+
+// ============================================
+// Runner
+// ============================================
+
+async function runEvaluation() {
+    const corpus = loadCorpus();
+    if (corpus.length === 0) throw new Error(`No cases found in ${CORPUS_DIR}`);
+
+    const report = { cases: corpus.length, extractors: {}, mismatches: [], fixed_misses: [] };
+
+    for (const extractor of EXTRACTORS) {
+        const totals = {};
+        FIELDS.forEach(field => { totals[field] = { cases: 0, tp: 0, fp: 0, fn: 0, exact: 0 }; });
+        let evaluated = 0;
+        let skipped = 0;
+        let errors = 0;
+        let handwritten = 0;
+
+        for (const testCase of corpus) {
+            let actual;
+            try {
+                actual = await runExtractor(extractor, testCase, await readCaseDocument(testCase));
+            } catch (error) {
+                errors++;
+                report.mismatches.push({ extractor, case: testCase.name, field: null, error: error.message });
+                continue;
+            }
+            if (!actual) {
+                skipped++;
+                continue;
+            }
+            evaluated++;
+            if (actual.handwritten) handwritten++;
+
+            const knownMisses = testCase.knownMisses[extractor] || [];
+            Object.entries(testCase.expected).forEach(([field, expected]) => {
+                if (!totals[field]) return;
+                const score = scoreField(field, expected, actual[field]);
+                const total = totals[field];
+                total.cases++;
+                total.tp += score.tp;
+                total.fp += score.fp;
+                total.fn += score.fn;
+                if (score.exact) {
+                    total.exact++;
+                    if (knownMisses.includes(field)) report.fixed_misses.push({ extractor, case: testCase.name, field });
+                } else {
+                    report.mismatches.push({ extractor, case: testCase.name, field, known: knownMisses.includes(field), expected, actual: actual[field] ?? null });
+                }
+            });
+        }
+
+        const fields = {};
+        FIELDS.forEach(field => {
+            if (totals[field].cases > 0) fields[field] = summarize(totals[field]);
+        });
+        const overall = summarize(Object.values(totals).reduce((sum, t) => ({
+            cases: sum.cases + t.cases,
+            tp: sum.tp + t.tp,
+            fp: sum.fp + t.fp,
+            fn: sum.fn + t.fn,
+            exact: sum.exact + t.exact
+        }), { cases: 0, tp: 0, fp: 0, fn: 0, exact: 0 }));
+
+        report.extractors[extractor] = { evaluated, skipped, errors, handwritten, overall, fields };
+    }
+
+    return report;
+}
+
+function printReport(report) {
+    const format = (value) => (value === null ? '   -  ' : `${(value * 100).toFixed(1).padStart(5)}%`);
+
+    Object.entries(report.extractors).forEach(([extractor, result]) => {
+        log('\n' + '='.repeat(80));
+        log(`📊 ${extractor.toUpperCase()} extractor - ${result.evaluated} case(s) evaluated` +
+            `${result.skipped ? `, ${result.skipped} skipped (no recorded response)` : ''}` +
+            `${result.errors ? `, ${result.errors} failed` : ''}`);
+        if (result.handwritten > 0) {
+            log(`⚠️  ${result.handwritten} of these replay a hand-written response - they check response parsing, not the model. Re-record with --record.`);
+        }
+        log('='.repeat(80));
+        log(`${'Field'.padEnd(30)} ${'Cases'.padStart(5)}  ${'Precision'.padStart(9)}  ${'Recall'.padStart(7)}  ${'Exact'.padStart(7)}`);
+        Object.entries(result.fields).forEach(([field, score]) => {
+            log(`${field.padEnd(30)} ${String(score.cases).padStart(5)}  ${format(score.precision).padStart(9)}  ${format(score.recall).padStart(7)}  ${format(score.exact_match_rate).padStart(7)}`);
+        });
+        log('-'.repeat(80));
+        log(`${'overall'.padEnd(30)} ${String(result.overall.cases).padStart(5)}  ${format(result.overall.precision).padStart(9)}  ${format(result.overall.recall).padStart(7)}  ${format(result.overall.exact_match_rate).padStart(7)}`);
+    });
+
+    const printMismatches = (title, mismatches) => {
+        if (mismatches.length === 0) return;
+        log(`\n${title}`);
+        mismatches.forEach(m => {
+            if (m.error) {
+                log(`   [${m.extractor}] ${m.case}: ${m.error}`);
+            } else {
+                log(`   [${m.extractor}] ${m.case} ${m.field}: expected ${JSON.stringify(m.expected)}, got ${JSON.stringify(m.actual)}`);
+            }
+        });
+    };
+    printMismatches('⚠️  Known misses (listed in known_misses):', report.mismatches.filter(m => m.known));
+    printMismatches('❌ Mismatches:', report.mismatches.filter(m => !m.known));
+
+    if (report.fixed_misses.length > 0) {
+        log('\n❌ Known misses that now match - remove them from known_misses:');
+        report.fixed_misses.forEach(m => log(`   [${m.extractor}] ${m.case} ${m.field}`));
+    }
+}
+
+/**
+ * Compare against the baseline - any field whose precision, recall or exact-match rate drops is a regression
+ */
+function findRegressions(report, baseline) {
+    const regressions = [];
+    Object.entries(baseline.extractors || {}).forEach(([extractor, baseResult]) => {
+        const current = report.extractors[extractor];
+        if (!current) return;
+        Object.entries(baseResult.fields || {}).forEach(([field, baseScore]) => {
+            const score = current.fields[field];
+            ['precision', 'recall', 'exact_match_rate'].forEach(metric => {
+                const before = baseScore[metric];
+                const after = score ? score[metric] : null;
+                if (before !== null && (after === null || after < before - 0.0005)) {
+                    regressions.push(`${extractor} ${field} ${metric}: ${before} -> ${after}`);
+                }
+            });
+        });
+    });
+    return regressions;
+}
+
+async function main() {
+    const report = await runEvaluation();
+
+    if (flag('--json')) {
+        log(JSON.stringify(report, null, 2));
+    } else {
+        printReport(report);
+    }
+
+    if (flag('--update-baseline')) {
+        const baseline = { extractors: {} };
+        Object.entries(report.extractors).forEach(([extractor, result]) => {
+            baseline.extractors[extractor] = { overall: result.overall, fields: result.fields };
+        });
+        fs.writeFileSync(BASELINE_PATH, JSON.stringify(baseline, null, 4) + '\n');
+        log(`\n💾 Baseline written to ${path.relative(process.cwd(), BASELINE_PATH)}`);
+        return 0;
+    }
+
+    const failed = Object.values(report.extractors).some(result => result.errors > 0) ||
+        report.mismatches.some(m => !m.known) ||
+        report.fixed_misses.length > 0;
+    if (!fs.existsSync(BASELINE_PATH)) {
+        log('\n⚠️  No baseline found - run with --update-baseline to create one');
+        return failed ? 1 : 0;
+    }
+
+    const regressions = findRegressions(report, JSON.parse(fs.readFileSync(BASELINE_PATH, 'utf8')));
+    if (regressions.length > 0) {
+        log('\n⚠️  Regressions against the baseline:');
+        regressions.forEach(r => log(`   ❌ ${r}`));
+        return 1;
+    }
+    log('\n✅ No regressions against the baseline');
+    if (failed) {
+        log('❌ Extraction errors, unlisted mismatches or stale known_misses - see above');
+        return 1;
+    }
+    return 0;
+}
+
+main()
+    .then(code => process.exit(code))
+    .catch(error => {
+        console.error('\n❌ Fatal error:', error);
+        process.exit(1);
+    });
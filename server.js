@@ -3,9 +3,16 @@ const cors = require('cors');
 const multer = require('multer');
 const pdfParse = require('pdf-parse');
 const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const WordExtractor = require('word-extractor');
+const { createWorker } = require('tesseract.js');
+const { pdfToPng } = require('pdf-to-png-converter');
 const fs = require('fs').promises;
+const { readFileSync, readdirSync } = require('fs');
 const path = require('path');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
+const crypto = require('crypto');
+const Ajv = require('ajv');
 require('dotenv').config();
 
 const app = express();
@@ -24,63 +31,86 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'spotsmart-complete.html'));
 });
 
-// Initialize Gemini AI
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-let genAI = null;
-let geminiModel = null;
-
-// Initialize Gemini AI (async initialization)
-async function initializeGemini() {
-    if (GEMINI_API_KEY) {
-        try {
-            genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
-            
-            // Use available models - optimized for accuracy and performance
-            // Try these in order of preference (best accuracy first, then performance)
-            const modelNames = [
-                'gemini-2.5-pro',        // Best accuracy - latest pro model with advanced reasoning
-                'gemini-pro-latest',     // Latest stable pro model - excellent accuracy
-                'gemini-2.5-flash',      // Fast and accurate - good balance
-                'gemini-2.0-flash',      // Alternative flash model
-                'gemini-pro'             // Fallback
-            ];
-            let modelInitialized = false;
-            let lastError = null;
-            
-            for (const modelName of modelNames) {
-                try {
-                    geminiModel = genAI.getGenerativeModel({ model: modelName });
-                    // Test with a simple request (just 1 token to verify it works)
-                    const testResult = await geminiModel.generateContent('Hi');
-                    await testResult.response;
-                    console.log(`✅ Gemini AI initialized successfully (using ${modelName})`);
-                    modelInitialized = true;
-                    break;
-                } catch (modelError) {
-                    lastError = modelError;
-                    // Try next model
-                    continue;
-                }
-            }
-            
-            if (!modelInitialized) {
-                console.warn(`   Tried models: ${modelNames.join(', ')}`);
-                throw new Error(`None of the Gemini models are available. Last error: ${lastError?.message || 'Unknown'}`);
-            }
-        } catch (error) {
-            console.warn('⚠️  Failed to initialize Gemini AI:', error.message);
-            console.warn('   Falling back to pattern matching extraction');
-            geminiModel = null;
-        }
-    } else {
-        console.warn('⚠️  GEMINI_API_KEY not found in environment variables');
-        console.warn('   Using pattern matching extraction (add GEMINI_API_KEY to .env for AI-powered extraction)');
-    }
+// LLM provider and model per task (extraction, assessment, insights), with per-task fallbacks - see config/llm.json
+// LLM_PROVIDER overrides the provider for every task, e.g. LLM_PROVIDER=mock to run fully offline
+// Models are not probed at startup: each one is validated by its first real call
+const LLM_CONFIG_PATH = process.env.LLM_CONFIG_PATH || path.join(__dirname, 'config', 'llm.json');
+const LLM_TASKS = ['extraction', 'assessment', 'insights'];
+const llmConfig = loadLLMConfigSync();
+const llmProviders = {}; // Provider instances by name, created on first use
+const llmModelStatus = {}; // "provider/model" -> { status: "ok" | "invalid", error, checked_at }, filled on first use
+
+// Every LLM call gets a timeout and retries for transient errors; a provider/model that keeps failing
+// trips its circuit breaker and is skipped (fail fast) until the cooldown has passed
+const LLM_TIMEOUT_MS = parseInt(process.env.LLM_TIMEOUT_MS) || 120000;
+const LLM_MAX_RETRIES = parseInt(process.env.LLM_MAX_RETRIES ?? '2') || 0;
+const LLM_RETRY_BASE_DELAY_MS = parseInt(process.env.LLM_RETRY_BASE_DELAY_MS) || 1000;
+const LLM_RETRY_MAX_DELAY_MS = parseInt(process.env.LLM_RETRY_MAX_DELAY_MS) || 20000;
+const LLM_BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD) || 5;
+const LLM_BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 30000;
+
+// Record/replay of LLM calls for offline, deterministic runs: fixtures/llm/<sha256 of prompt>.json
+// LLM_RECORDING: "off" (default), "record" (call the model and save each prompt/response pair)
+// or "replay" (answer from the saved fixtures only - no model is called)
+const LLM_RECORDING = process.env.LLM_RECORDING || 'off';
+const LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm');
+if (!['off', 'record', 'replay'].includes(LLM_RECORDING)) {
+    throw new Error(`Unknown LLM_RECORDING mode "${LLM_RECORDING}" (expected off, record or replay)`);
+}
+// Recording and replaying run on a fixed "today", so go-live dates and deadlines (which end up in
+// prompts) are the same on every run and the fixture keys keep matching
+const LLM_FIXTURE_CLOCK = process.env.LLM_FIXTURE_CLOCK || '2026-01-05T00:00:00.000Z';
+if (Number.isNaN(Date.parse(LLM_FIXTURE_CLOCK))) {
+    throw new Error(`Invalid LLM_FIXTURE_CLOCK "${LLM_FIXTURE_CLOCK}" (expected an ISO date)`);
 }
 
-// Initialize Gemini on startup (don't block server startup)
-initializeGemini().catch(err => {
-    console.error('Error initializing Gemini:', err);
+// JSON Schemas for LLM output (schemas/*.json). A response that fails validation is sent back
+// to the model with the errors, up to LLM_REPAIR_ATTEMPTS more times
+const LLM_SCHEMAS_DIR = path.join(__dirname, 'schemas');
+const LLM_REPAIR_ATTEMPTS = parseInt(process.env.LLM_REPAIR_ATTEMPTS ?? '2') || 0; // 0 disables re-asking
+const llmSchemaValidator = loadLLMSchemasSync();
+
+// Prompt templates: prompts/<id>.v<version>.txt with {{variable}} placeholders
+// config/prompts.json pins a version per prompt ("version") or splits traffic between versions ("ab": { "1": 50, "2": 50 })
+// Without an entry the highest version is used. Reload both via POST /admin/prompts/reload
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const PROMPT_CONFIG_PATH = process.env.PROMPT_CONFIG_PATH || path.join(__dirname, 'config', 'prompts.json');
+let promptRegistry = loadPromptRegistrySync();
+
+// Readiness scoring rules per persona: config/scoring/<persona>.v<version>.json (sections, questions,
+// points, weights and status thresholds). The highest version is active; publish new ones via /admin/scoring
+const SCORING_CONFIG_DIR = process.env.SCORING_CONFIG_DIR || path.join(__dirname, 'config', 'scoring');
+const SCORING_PERSONAS = ['prospect', 'customer', 'implementation_manager'];
+const SCORING_QUESTION_TYPES = ['provided', 'choice', 'list', 'all_provided', 'number_at_least'];
+const SIMULATION_MAX_IMPROVEMENTS = 10; // Ranked single-answer changes returned by /assess/simulate and listed in prompts
+let scoringConfig = loadScoringConfigSync();
+
+// Cache for LLM assessments, keyed on the normalized intake, persona, prompt version and model
+// ASSESSMENT_CACHE: "memory" (default), "file" (one JSON file per entry in ASSESSMENT_CACHE_DIR) or "off"
+const ASSESSMENT_CACHE_TTL_SECONDS = parseInt(process.env.ASSESSMENT_CACHE_TTL_SECONDS) || 24 * 60 * 60;
+const ASSESSMENT_CACHE_MAX_ENTRIES = parseInt(process.env.ASSESSMENT_CACHE_MAX_ENTRIES) || 500;
+const ASSESSMENT_CACHE_DIR = process.env.ASSESSMENT_CACHE_DIR || path.join(__dirname, 'cache', 'assessments');
+const assessmentCache = createAssessmentCache(process.env.ASSESSMENT_CACHE || 'memory');
+
+// Each assessment's debug payload (the prompt sent to the LLM and its raw response) is kept server-side
+// under its trace_id; only callers with DEBUG_API_TOKEN (or ADMIN_API_TOKEN) get it in responses
+// ASSESSMENT_TRACES: "memory" (default) or "file" (one JSON file per trace in ASSESSMENT_TRACE_DIR)
+const DEBUG_API_TOKEN = process.env.DEBUG_API_TOKEN;
+const ASSESSMENT_TRACE_TTL_SECONDS = parseInt(process.env.ASSESSMENT_TRACE_TTL_SECONDS) || 7 * 24 * 60 * 60;
+const ASSESSMENT_TRACE_MAX_ENTRIES = parseInt(process.env.ASSESSMENT_TRACE_MAX_ENTRIES) || 1000;
+const ASSESSMENT_TRACE_DIR = process.env.ASSESSMENT_TRACE_DIR || path.join(__dirname, 'cache', 'traces');
+const assessmentTraces = createAssessmentTraceStore(process.env.ASSESSMENT_TRACES || 'memory');
+
+if (LLM_RECORDING !== 'off') {
+    console.log(`LLM ${LLM_RECORDING} mode: fixtures in ${LLM_FIXTURES_DIR}`);
+}
+LLM_TASKS.forEach(task => {
+    const [primary, ...fallbacks] = resolveLLMCandidates(task);
+    const describe = candidate => `${candidate.name}/${candidate.model || 'default'}`;
+    console.log(`LLM ${task}: ${describe(primary)}${fallbacks.length > 0 ? ` (fallbacks: ${fallbacks.map(describe).join(', ')})` : ''}`);
+    if (LLM_RECORDING !== 'replay' && !isLLMAvailable(task)) {
+        console.warn(`⚠️  No usable LLM for ${task} (check the API key env var and model in ${LLM_CONFIG_PATH}) - using rule-based fallbacks`);
+    }
 });
 
 // Middleware
@@ -88,16 +118,125 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// OCR configuration (used for scanned PDFs and image uploads)
+// Language data comes from OCR_LANG_PATH (a folder containing <lang>.traineddata) or else the
+// @tesseract.js-data/<lang> package (a dependency for eng), so OCR runs offline by default
+const OCR_LANGUAGE = process.env.OCR_LANGUAGE || 'eng';
+const OCR_LANG_PATH = process.env.OCR_LANG_PATH || null;
+const OCR_MAX_PAGES = parseInt(process.env.OCR_MAX_PAGES) || 10;
+const ocrWorkerOptions = resolveOCRWorkerOptions();
+
+// Version of the extracted_data schema returned by /parse-order-form
+// 1.0: scope fields only; 2.0: adds commercial terms (dates, term, seats, ARR/TCV, currency, billing, signatories, PS hours)
+// 2.1: adds line_items parsed from order form tables
+const ORDER_FORM_SCHEMA_VERSION = '2.1';
+
+// Product catalog: modules, integration systems and categories used for order form detection and IM plans
+// Admins can edit the file and hot-reload it via /admin/catalog/reload (or replace it via PUT /admin/catalog)
+const PRODUCT_CATALOG_PATH = process.env.PRODUCT_CATALOG_PATH || path.join(__dirname, 'config', 'product-catalog.json');
+let productCatalog = loadProductCatalogSync();
+
+// PII redaction for everything sent to an LLM - see config/pii-redaction.json for the per-field policy
+// PII_REDACTION=off disables it regardless of the policy file
+const PII_POLICY_PATH = process.env.PII_POLICY_PATH || path.join(__dirname, 'config', 'pii-redaction.json');
+const PII_PLACEHOLDER_TYPES = ['PERSON', 'EMAIL', 'ORG', 'PHONE'];
+const PII_PATTERNS = {
+    EMAIL: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+    // Candidates only - isLikelyPhoneNumber drops dates, amounts and counts
+    PHONE: /\+?\(?\d[\d\s().-]{7,}\d/g
+};
+const PII_FIELD_ACTIONS = [...PII_PLACEHOLDER_TYPES, 'scan', 'keep', 'drop'];
+const piiPolicy = loadPIIPolicySync();
+
+// Admin endpoints are disabled unless a token is configured
+const ADMIN_API_TOKEN = process.env.ADMIN_API_TOKEN;
+
 // Configure multer for file uploads
+const UPLOAD_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB limit
 const upload = multer({ 
     storage: multer.memoryStorage(),
-    limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+    limits: { fileSize: UPLOAD_MAX_FILE_SIZE }
+});
+
+// Batch parsing: uploads may be ZIP archives, so the per-upload limit is higher than for single documents
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+const BATCH_MAX_FILES = parseInt(process.env.BATCH_MAX_FILES) || 100;
+const BATCH_MAX_FILE_SIZE = 10 * 1024 * 1024;
+const BATCH_MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+const BATCH_MAX_TOTAL_SIZE = (parseInt(process.env.BATCH_MAX_TOTAL_MB) || 200) * 1024 * 1024; // Document bytes parsed per request (uploaded documents plus unpacked archive entries)
+const BATCH_MAX_REQUEST_SIZE = (parseInt(process.env.BATCH_MAX_REQUEST_MB) || 200) * 1024 * 1024; // Raw upload bytes buffered per request
+const batchUpload = multer({
+    storage: createCappedMemoryStorage(BATCH_MAX_REQUEST_SIZE),
+    limits: { fileSize: BATCH_MAX_UPLOAD_SIZE, files: BATCH_MAX_FILES }
 });
 
+/**
+ * multer memory storage that also caps the bytes buffered across all files of one request
+ * (memoryStorage only limits each file, so 100 files of 50MB would all be held in memory)
+ */
+function createCappedMemoryStorage(maxRequestBytes) {
+    return {
+        _handleFile(req, file, cb) {
+            const chunks = [];
+            let size = 0;
+            let settled = false;
+            file.stream.on('data', chunk => {
+                if (settled) return;
+                size += chunk.length;
+                req.uploadedBytes = (req.uploadedBytes || 0) + chunk.length;
+                if (req.uploadedBytes > maxRequestBytes) {
+                    settled = true;
+                    chunks.length = 0;
+                    file.stream.resume(); // Drain the rest without buffering it
+                    const error = new Error(`Upload exceeds the ${maxRequestBytes / (1024 * 1024)}MB limit per request`);
+                    error.statusCode = 400;
+                    return cb(error);
+                }
+                chunks.push(chunk);
+            });
+            file.stream.on('error', error => {
+                if (settled) return;
+                settled = true;
+                cb(error);
+            });
+            file.stream.on('end', () => {
+                if (settled) return;
+                settled = true;
+                cb(null, { buffer: Buffer.concat(chunks), size });
+            });
+        },
+        _removeFile(req, file, cb) {
+            delete file.buffer;
+            cb(null);
+        }
+    };
+}
+
+/**
+ * Run a multer middleware, answering upload limit errors with a JSON 400 instead of Express's HTML error page
+ */
+function acceptUploads(middleware, limits) {
+    return (req, res, next) => middleware(req, res, (error) => {
+        if (error && error.statusCode === 400) {
+            return res.status(400).json({ success: false, error: error.message });
+        }
+        if (!(error instanceof multer.MulterError)) return next(error);
+        const messages = {
+            LIMIT_FILE_SIZE: `File exceeds the ${limits.fileSize / (1024 * 1024)}MB upload limit`,
+            LIMIT_FILE_COUNT: `Too many files - at most ${limits.files} per request`,
+            LIMIT_UNEXPECTED_FILE: `Unexpected file field "${error.field}"`
+        };
+        res.status(400).json({
+            success: false,
+            error: messages[error.code] || error.message
+        });
+    });
+}
+
 // ============================================
 // API 1: Parse Order Form
 // ============================================
-app.post('/parse-order-form', upload.single('file'), async (req, res) => {
+app.post('/parse-order-form', acceptUploads(upload.single('file'), { fileSize: UPLOAD_MAX_FILE_SIZE, files: 1 }), async (req, res) => {
     try {
         // Handle both file upload and base64 content
         let fileBuffer;
@@ -122,102 +261,236 @@ app.post('/parse-order-form', upload.single('file'), async (req, res) => {
             });
         }
 
-        // Validate file type
-        const validTypes = [
-            'application/pdf',
-            'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-            'application/msword'
-        ];
+        const result = await parseOrderFormDocument(fileBuffer, fileName, fileType);
+        res.json(result);
+
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error parsing order form:', error);
+        console.error('Error stack:', error.stack);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to parse order form. Please try again or fill in the details manually.'
+        });
+    }
+});
+
+// ============================================
+// API 1b: Batch Parse Order Forms
+// ============================================
+app.post('/parse-order-forms/batch', acceptUploads(batchUpload.array('files', BATCH_MAX_FILES), { fileSize: BATCH_MAX_UPLOAD_SIZE, files: BATCH_MAX_FILES }), async (req, res) => {
+    try {
+        // Multipart files (documents and/or ZIP archives) or base64 encoded files
+        let uploads = req.files || [];
+        if (uploads.length === 0 && Array.isArray(req.body.files)) {
+            uploads = req.body.files.map((fileData, i) => ({
+                originalname: fileData.name || `order-form-${i + 1}`,
+                mimetype: fileData.type || 'application/octet-stream',
+                buffer: Buffer.from(fileData.content || '', 'base64')
+            }));
+        }
+        if (uploads.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'No files provided. Upload a ZIP archive or several files in the "files" field.'
+            });
+        }
 
-        if (!validTypes.includes(fileType) && !fileName.match(/\.(pdf|docx|doc)$/i)) {
+        const documents = await expandBatchUploads(uploads);
+        if (documents.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid file type. Please upload a PDF or DOCX file.'
+                error: 'The uploaded archive does not contain any files.'
             });
         }
+        console.log(`Batch parsing ${documents.length} document(s) with concurrency ${BATCH_CONCURRENCY}`);
 
-        // Parse file content
-        let textContent = '';
-        
-        try {
-            if (fileType === 'application/pdf' || fileName.toLowerCase().endsWith('.pdf')) {
-                // Parse PDF
-                console.log('Parsing PDF file...');
-                const pdfData = await pdfParse(fileBuffer);
-                textContent = pdfData.text;
-                console.log(`Extracted ${textContent.length} characters from PDF`);
-            } else if (fileType.includes('wordprocessingml') || fileName.toLowerCase().endsWith('.docx')) {
-                // Parse DOCX
-                console.log('Parsing DOCX file...');
-                const result = await mammoth.extractRawText({ buffer: fileBuffer });
-                textContent = result.value;
-                console.log(`Extracted ${textContent.length} characters from DOCX`);
-            } else {
-                // Try to parse as DOCX anyway
-                console.log('Attempting to parse as DOCX...');
-                const result = await mammoth.extractRawText({ buffer: fileBuffer });
-                textContent = result.value;
-                console.log(`Extracted ${textContent.length} characters`);
+        // Each document is parsed independently - a corrupt file only fails its own result
+        const results = await mapWithConcurrency(documents, BATCH_CONCURRENCY, async (doc) => {
+            if (doc.error) {
+                return { file: doc.name, success: false, error: doc.error };
             }
-            
-            if (!textContent || textContent.trim().length === 0) {
-                return res.status(400).json({
-                    success: false,
-                    error: 'Could not extract text from the document. The file might be empty, corrupted, or image-based (scanned PDF).'
-                });
+            try {
+                const result = await parseOrderFormDocument(doc.buffer, doc.name, doc.type);
+                return { file: doc.name, ...result };
+            } catch (error) {
+                console.error(`Batch: failed to parse ${doc.name}:`, error.message);
+                return { file: doc.name, success: false, error: error.message || 'Failed to parse order form' };
             }
-        } catch (parseError) {
-            console.error('Error parsing file:', parseError);
+        });
+
+        const flags = results.flatMap(result => (result.flags || []).map(flag => ({ file: result.file, ...flag })));
+        const flagCounts = flags.reduce((counts, flag) => {
+            counts[flag.type] = (counts[flag.type] || 0) + 1;
+            return counts;
+        }, {});
+        const succeeded = results.filter(result => result.success).length;
+        const csv = buildBatchCsv(results);
+
+        if (req.query.format === 'csv') {
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', 'attachment; filename="order-form-batch.csv"');
+            return res.send(csv);
+        }
+
+        res.json({
+            success: true,
+            schema_version: ORDER_FORM_SCHEMA_VERSION,
+            summary: {
+                total: results.length,
+                succeeded,
+                failed: results.length - succeeded,
+                flag_counts: flagCounts
+            },
+            results,
+            flags,
+            csv
+        });
+
+    } catch (error) {
+        console.error('Error parsing order form batch:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to parse order form batch.'
+        });
+    }
+});
+
+// ============================================
+// API 1c: Diff Order Forms (original vs amendment/renewal)
+// ============================================
+app.post('/diff-order-forms', acceptUploads(upload.fields([{ name: 'original', maxCount: 1 }, { name: 'amendment', maxCount: 1 }]), { fileSize: UPLOAD_MAX_FILE_SIZE, files: 2 }), async (req, res) => {
+    try {
+        // Each document can be a multipart file or a base64 object ({ name, type, content }) in the JSON body
+        const readDocument = (field) => {
+            const file = req.files?.[field]?.[0];
+            if (file) return { buffer: file.buffer, name: file.originalname, type: file.mimetype };
+            const fileData = req.body[field];
+            if (fileData && fileData.content) {
+                return {
+                    buffer: Buffer.from(fileData.content, 'base64'),
+                    name: fileData.name || `${field}.pdf`,
+                    type: fileData.type || 'application/pdf'
+                };
+            }
+            return null;
+        };
+        const original = readDocument('original');
+        const amendment = readDocument('amendment');
+        if (!original || !amendment) {
             return res.status(400).json({
                 success: false,
-                error: `Failed to parse document: ${parseError.message}. Please ensure it is a valid PDF or DOCX file.`
+                error: 'Both an "original" and an "amendment" order form are required.'
             });
         }
 
-        // Extract data from order form
-        // Use Gemini AI if available, otherwise fall back to pattern matching
-        let extractedData;
-        let confidence;
-        
-        // Ensure Gemini is initialized before using it
-        if (GEMINI_API_KEY && !geminiModel) {
-            console.log('Gemini not initialized yet, initializing now...');
-            await initializeGemini();
+        // Optional IM intake the current implementation plan was built from
+        let imResponses = req.body.im_intake_responses || null;
+        if (typeof imResponses === 'string') {
+            try {
+                imResponses = JSON.parse(imResponses);
+            } catch (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'im_intake_responses must be valid JSON'
+                });
+            }
         }
-        
-        if (geminiModel) {
+
+        const parseOne = async (doc, label) => {
             try {
-                console.log('Attempting Gemini AI extraction...');
-                extractedData = await extractOrderFormDataWithGemini(textContent, fileBuffer, fileType);
-                confidence = 0.90; // High confidence for AI extraction
-                console.log('✅ Gemini extraction successful');
+                return await parseOrderFormDocument(doc.buffer, doc.name, doc.type);
             } catch (error) {
-                console.error('Gemini extraction failed, falling back to pattern matching:', error.message);
-                console.error('Error details:', error);
-                extractedData = extractOrderFormData(textContent);
-                confidence = calculateConfidence(extractedData, textContent);
+                if (error.statusCode) error.message = `${label}: ${error.message}`;
+                throw error;
             }
-        } else {
-            console.log('Using pattern matching extraction (Gemini not available)');
-            extractedData = extractOrderFormData(textContent);
-            confidence = calculateConfidence(extractedData, textContent);
+        };
+        const before = await parseOne(original, 'Original order form');
+        const after = await parseOne(amendment, 'Amendment');
+
+        const diff = diffOrderFormData(before.extracted_data, after.extracted_data);
+        const imPlanImpact = assessIMPlanImpact(before.extracted_data, after.extracted_data, imResponses);
+
+        const flags = [];
+        if (imPlanImpact.affects_scope) {
+            flags.push({
+                type: 'warning',
+                message: `Amendment changes implementation scope - review the IM implementation plan (${imPlanImpact.changes.map(c => c.area).join(', ')})`
+            });
         }
-        
-        const flags = generateFlags(extractedData, confidence);
+        [['Original order form', before], ['Amendment', after]].forEach(([label, result]) => {
+            const warnings = result.flags.filter(f => f.type === 'warning').length;
+            if (warnings > 0) {
+                flags.push({
+                    type: 'info',
+                    message: `${label} has ${warnings} extraction warning(s) - verify the affected fields before relying on the diff`
+                });
+            }
+        });
 
         res.json({
             success: true,
-            extracted_data: extractedData,
-            confidence: confidence,
-            flags: flags
+            schema_version: ORDER_FORM_SCHEMA_VERSION,
+            original: { file: original.name, extracted_data: before.extracted_data, confidence: before.confidence, flags: before.flags },
+            amendment: { file: amendment.name, extracted_data: after.extracted_data, confidence: after.confidence, flags: after.flags },
+            diff,
+            im_plan_impact: imPlanImpact,
+            flags
         });
 
     } catch (error) {
-        console.error('Error parsing order form:', error);
-        console.error('Error stack:', error.stack);
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({
+                success: false,
+                error: error.message
+            });
+        }
+        console.error('Error diffing order forms:', error);
         res.status(500).json({
             success: false,
-            error: error.message || 'Failed to parse order form. Please try again or fill in the details manually.'
+            error: error.message || 'Failed to compare order forms.'
+        });
+    }
+});
+
+// ============================================
+// API 1d: Map Order Form to Intake
+// ============================================
+app.post('/order-form-intake-prefill', (req, res) => {
+    try {
+        // Accepts a /parse-order-form response (or just its extracted_data and field_provenance)
+        const { extracted_data, field_provenance, personas } = req.body;
+        if (!extracted_data || typeof extracted_data !== 'object') {
+            return res.status(400).json({
+                success: false,
+                error: 'extracted_data is required (pass the /parse-order-form response)'
+            });
+        }
+
+        const requested = personas ? [].concat(personas) : INTAKE_PERSONAS;
+        const unknown = requested.filter(p => !INTAKE_PERSONAS.includes(p));
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown persona(s): ${unknown.join(', ')}. Expected one of: ${INTAKE_PERSONAS.join(', ')}`
+            });
+        }
+
+        res.json({
+            success: true,
+            prefill: mapOrderFormToIntake(extracted_data, field_provenance || {}, requested)
+        });
+
+    } catch (error) {
+        console.error('Error mapping order form to intake:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message || 'Failed to map order form to intake responses.'
         });
     }
 });
@@ -227,7 +500,7 @@ app.post('/parse-order-form', upload.single('file'), async (req, res) => {
 // ============================================
 app.post('/assess', async (req, res) => {
     try {
-        const { intake_responses } = req.body;
+        const { intake_responses, force_refresh } = req.body;
 
         if (!intake_responses) {
             return res.status(400).json({
@@ -236,358 +509,4782 @@ app.post('/assess', async (req, res) => {
             });
         }
 
-        // Use Gemini to calculate readiness scores and generate all assessment data
-        let readinessScore = null;
-        let redFlags = [];
-        let actionItems = { customer: [], spotdraft: [] };
-        let implementationPlan = null;
-        let aiInsights = null;
-        let geminiRequest = null;
-        let geminiResponse = null;
-        let statusLabel = 'Calculating...';
-        let statusDescription = 'Analyzing your responses...';
+        const data = await runAssessment(intake_responses, { forceRefresh: force_refresh === true });
+
+        res.json({
+            success: true,
+            data: assessmentResponseFor(req, data)
+        });
+
+    } catch (error) {
+        console.error('Error assessing readiness:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to assess readiness. Please try again.'
+        });
+    }
+});
+
+// Same assessment as /assess, streamed as Server-Sent Events:
+//   stage   { stage, message }         validating, cache, scoring, plan, llm, parsing, rule_based
+//   section { section, data }          each part of the result as soon as it is known
+//   token   { attempt, chars, text }   partial LLM output (text only for debug callers)
+//   result  { success, data }          the full /assess response body, last event
+//   error   { success, error }         instead of result when the assessment fails
+app.post('/assess/stream', async (req, res) => {
+    const { intake_responses, force_refresh } = req.body;
+
+    if (!intake_responses) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing intake_responses in request body'
+        });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // Stop reverse proxies from buffering the stream
+    });
+    const send = (event, data) => {
+        if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    // Raw model output is a debug payload too - public streams only get its length
+    const debug = isDebugRequest(req);
+    const emit = (event, data) => send(event, event === 'token'
+        ? { attempt: data.attempt, chars: data.text.length, ...(debug ? { text: data.text } : {}) }
+        : data);
+    // Comment lines keep idle proxies from closing the connection during a long LLM call
+    const heartbeat = setInterval(() => { if (!res.writableEnded) res.write(': keep-alive\n\n'); }, 15000);
+
+    try {
+        const data = await runAssessment(intake_responses, { forceRefresh: force_refresh === true, emit });
+        send('result', { success: true, data: assessmentResponseFor(req, data) });
+    } catch (error) {
+        console.error('Error assessing readiness (stream):', error);
+        send('error', { success: false, error: 'Failed to assess readiness. Please try again.' });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
+    }
+});
+
+// ============================================
+// API 2c: Simulate Score Changes
+// ============================================
+// Exact before/after scores for hypothetical answers, from the same rules as /assess - no LLM call
+app.post('/assess/simulate', (req, res) => {
+    const { intake_responses, changes, limit } = req.body;
+
+    if (!intake_responses) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing intake_responses in request body'
+        });
+    }
+
+    try {
+        const maxImprovements = Math.max(1, Math.min(parseInt(limit) || SIMULATION_MAX_IMPROVEMENTS, 100));
+        res.json({
+            success: true,
+            data: simulateReadinessChanges(intake_responses, changes || {}, maxImprovements)
+        });
+    } catch (error) {
+        if (!error.statusCode) console.error('Error simulating score changes:', error);
+        res.status(error.statusCode || 500).json({
+            success: false,
+            error: error.statusCode ? error.message : 'Failed to simulate score changes. Please try again.'
+        });
+    }
+});
+
+// ============================================
+// API 3: Admin - Product Catalog
+// ============================================
+
+/**
+ * Require the admin token (Authorization: Bearer <token> or X-Admin-Token header)
+ */
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_TOKEN) {
+        return res.status(503).json({
+            success: false,
+            error: 'Admin API is disabled. Set ADMIN_API_TOKEN to enable it.'
+        });
+    }
+    const authHeader = req.get('authorization') || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : req.get('x-admin-token');
+    if (!tokensMatch(token, ADMIN_API_TOKEN)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or missing admin token'
+        });
+    }
+    next();
+}
+
+/**
+ * Constant-time token comparison: both sides are hashed first, so timingSafeEqual always gets
+ * equal-length buffers and the time taken reveals neither the token's characters nor its length
+ */
+function tokensMatch(token, expected) {
+    if (!token || !expected) return false;
+    const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(digest(token), digest(expected));
+}
+
+app.get('/admin/catalog', requireAdmin, (req, res) => {
+    res.json({
+        success: true,
+        version: productCatalog.version,
+        loaded_at: productCatalog.loaded_at,
+        catalog: productCatalog.raw
+    });
+});
 
-        if (!geminiModel) {
-            return res.status(500).json({
+// Re-read the catalog file from disk (e.g. after editing it on the server)
+app.post('/admin/catalog/reload', requireAdmin, async (req, res) => {
+    try {
+        const catalog = JSON.parse(await fs.readFile(PRODUCT_CATALOG_PATH, 'utf8'));
+        const errors = validateProductCatalog(catalog);
+        if (errors.length > 0) {
+            return res.status(400).json({
                 success: false,
-                error: 'Gemini AI is required for assessment calculation. Please ensure GEMINI_API_KEY is configured.'
+                error: 'Catalog file is invalid - keeping the current catalog',
+                validation_errors: errors
             });
         }
+        productCatalog = compileProductCatalog(catalog);
+        console.log(`✅ Product catalog reloaded (version ${productCatalog.version})`);
+        res.json({ success: true, version: productCatalog.version, loaded_at: productCatalog.loaded_at });
+    } catch (error) {
+        console.error('Error reloading product catalog:', error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to reload catalog: ${error.message}`
+        });
+    }
+});
 
-        try {
-            // Route to persona-specific assessment functions
-            if (intake_responses.user_type === 'prospect') {
-                // Prospect assessment (4 sections)
-                const assessmentResult = await calculateProspectReadinessWithGemini(intake_responses);
-                readinessScore = assessmentResult.readiness_score;
-                redFlags = assessmentResult.red_flags;
-                actionItems = assessmentResult.action_items;
-                implementationPlan = assessmentResult.implementation_plan;
-                aiInsights = assessmentResult.ai_insights;
-                statusLabel = assessmentResult.status_label;
-                statusDescription = assessmentResult.status_description;
-                geminiRequest = assessmentResult.gemini_request;
-                geminiResponse = assessmentResult.gemini_response;
-                console.log('Prospect assessment completed successfully');
-            } else if (intake_responses.user_type === 'customer') {
-                // Customer assessment (7 sections)
-                const assessmentResult = await calculateCustomerReadinessWithGemini(intake_responses);
-                readinessScore = assessmentResult.readiness_score;
-                redFlags = assessmentResult.red_flags;
-                actionItems = assessmentResult.action_items;
-                implementationPlan = assessmentResult.implementation_plan;
-                aiInsights = assessmentResult.ai_insights;
-                statusLabel = assessmentResult.status_label;
-                statusDescription = assessmentResult.status_description;
-                geminiRequest = assessmentResult.gemini_request;
-                geminiResponse = assessmentResult.gemini_response;
-                console.log('Customer assessment completed successfully');
-            } else if (intake_responses.user_type === 'implementation_manager') {
-                // IM assessment (6 sections) with rule-based plan generation
-                const imPlan = createIMImplementationPlan(intake_responses);
-                const imAssessment = await calculateIMReadinessWithGemini(intake_responses, imPlan);
-                readinessScore = imAssessment.readiness_score;
-                redFlags = imAssessment.red_flags;
-                actionItems = imAssessment.action_items;
-                implementationPlan = imPlan;
-                aiInsights = imAssessment.ai_insights;
-                statusLabel = imAssessment.status_label || 'Plan Generated';
-                statusDescription = imAssessment.status_description || 'Rocketlane-ready implementation plan generated';
-                geminiRequest = imAssessment.gemini_request;
-                geminiResponse = imAssessment.gemini_response;
-                console.log('IM assessment completed successfully');
-            } else {
-                // Fallback to standard assessment (for backward compatibility)
-                const assessmentResult = await calculateReadinessWithGemini(intake_responses);
-                readinessScore = assessmentResult.readiness_score;
-                redFlags = assessmentResult.red_flags;
-                actionItems = assessmentResult.action_items;
-                implementationPlan = assessmentResult.implementation_plan;
-                aiInsights = assessmentResult.ai_insights;
-                statusLabel = assessmentResult.status_label;
-                statusDescription = assessmentResult.status_description;
-                geminiRequest = assessmentResult.gemini_request;
-                geminiResponse = assessmentResult.gemini_response;
-                console.log('Standard assessment completed successfully');
-            }
-        } catch (error) {
-            console.error('Error calculating assessment with Gemini:', error);
-            return res.status(500).json({
+// Replace the catalog with the request body and persist it to disk
+app.put('/admin/catalog', requireAdmin, async (req, res) => {
+    try {
+        const catalog = req.body;
+        const errors = validateProductCatalog(catalog);
+        if (errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid catalog',
+                validation_errors: errors
+            });
+        }
+        await fs.writeFile(PRODUCT_CATALOG_PATH, JSON.stringify(catalog, null, 4) + '\n');
+        productCatalog = compileProductCatalog(catalog);
+        console.log(`✅ Product catalog updated (version ${productCatalog.version})`);
+        res.json({ success: true, version: productCatalog.version, loaded_at: productCatalog.loaded_at });
+    } catch (error) {
+        console.error('Error updating product catalog:', error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to update catalog: ${error.message}`
+        });
+    }
+});
+
+// ============================================
+// API 4: Admin - Prompt Templates
+// ============================================
+
+// Versions available per prompt and which one each prompt currently uses
+app.get('/admin/prompts', requireAdmin, (req, res) => {
+    const prompts = Object.entries(promptRegistry.templates).map(([id, versions]) => ({
+        id,
+        versions: Object.values(versions).map(({ version, description, variables, file }) => ({ version, description, variables, file })),
+        config: promptRegistry.selection[id] || null
+    }));
+    res.json({ success: true, loaded_at: promptRegistry.loaded_at, prompts });
+});
+
+// Re-read prompt templates and config/prompts.json from disk (e.g. after adding a new version)
+app.post('/admin/prompts/reload', requireAdmin, async (req, res) => {
+    try {
+        const files = (await fs.readdir(PROMPTS_DIR)).filter(file => file.endsWith('.txt'));
+        const templates = await Promise.all(files.map(async file => ({ file, content: await fs.readFile(path.join(PROMPTS_DIR, file), 'utf8') })));
+        const registry = buildPromptRegistry(templates, JSON.parse(await fs.readFile(PROMPT_CONFIG_PATH, 'utf8')));
+        if (registry.errors.length > 0) {
+            return res.status(400).json({
                 success: false,
-                error: `Failed to calculate assessment: ${error.message}`,
-                gemini_request: geminiRequest || 'Error: Failed to generate prompt',
-                gemini_response: geminiResponse || `Error: ${error.message}`
+                error: 'Prompt templates are invalid - keeping the current templates',
+                validation_errors: registry.errors
             });
         }
+        promptRegistry = registry;
+        console.log(`✅ Prompt templates reloaded (${Object.keys(promptRegistry.templates).length} prompts)`);
+        res.json({ success: true, loaded_at: promptRegistry.loaded_at });
+    } catch (error) {
+        console.error('Error reloading prompt templates:', error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to reload prompt templates: ${error.message}`
+        });
+    }
+});
+
+// ============================================
+// API 5: Debug - Assessment Traces
+// ============================================
+
+/**
+ * Require the debug or admin token (Authorization: Bearer <token>, X-Debug-Token or X-Admin-Token header)
+ */
+function requireDebug(req, res, next) {
+    if (!DEBUG_API_TOKEN && !ADMIN_API_TOKEN) {
+        return res.status(503).json({
+            success: false,
+            error: 'Debug API is disabled. Set DEBUG_API_TOKEN to enable it.'
+        });
+    }
+    if (!isDebugRequest(req)) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid or missing debug token'
+        });
+    }
+    next();
+}
+
+// The prompt, raw LLM response and outcome recorded for one assessment (trace_id from /assess)
+app.get('/debug/assessments/:traceId', requireDebug, async (req, res) => {
+    const { traceId } = req.params;
+    if (!ASSESSMENT_TRACE_ID_PATTERN.test(traceId)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid trace id'
+        });
+    }
+    const entry = assessmentTraces ? await assessmentTraces.get(traceId) : null;
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: `No trace ${traceId} (traces expire after ${ASSESSMENT_TRACE_TTL_SECONDS} seconds)`
+        });
+    }
+    res.json({ success: true, trace: entry.data, stored_at: entry.cached_at, expires_at: entry.expires_at });
+});
+
+// ============================================
+// API 6: Admin - Scoring Config
+// ============================================
+
+// Active version and published versions per persona
+app.get('/admin/scoring', requireAdmin, (req, res) => {
+    const personas = SCORING_PERSONAS.map(persona => ({
+        persona,
+        active: scoringConfig.personas[persona].active,
+        versions: Object.values(scoringConfig.personas[persona].versions)
+            .map(({ version, published_at, note }) => ({ version, published_at: published_at || null, note: note || null }))
+    }));
+    res.json({ success: true, loaded_at: scoringConfig.loaded_at, personas });
+});
+
+// Re-read config/scoring/ from disk (e.g. after copying in a version file)
+app.post('/admin/scoring/reload', requireAdmin, async (req, res) => {
+    try {
+        const files = (await fs.readdir(SCORING_CONFIG_DIR)).filter(file => file.endsWith('.json'));
+        const registry = buildScoringRegistry(await Promise.all(files.map(async file => ({ file, content: await fs.readFile(path.join(SCORING_CONFIG_DIR, file), 'utf8') }))));
+        if (registry.errors.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Scoring config is invalid - keeping the current config',
+                validation_errors: registry.errors
+            });
+        }
+        scoringConfig = registry;
+        console.log('✅ Scoring config reloaded');
+        res.json({ success: true, loaded_at: scoringConfig.loaded_at });
+    } catch (error) {
+        console.error('Error reloading scoring config:', error);
+        res.status(500).json({
+            success: false,
+            error: `Failed to reload scoring config: ${error.message}`
+        });
+    }
+});
+
+// The active config for a persona, or ?version=N
+app.get('/admin/scoring/:persona', requireAdmin, (req, res) => {
+    const entry = scoringEntry(req.params.persona);
+    if (!entry) {
+        return res.status(404).json({ success: false, error: `Unknown persona: ${req.params.persona}` });
+    }
+    const version = req.query.version ? parseInt(req.query.version) : entry.active;
+    const config = entry.versions[version];
+    if (!config) {
+        return res.status(404).json({ success: false, error: `No version ${req.query.version} for ${req.params.persona}` });
+    }
+    res.json({ success: true, active: entry.active, config });
+});
+
+// Check a config without publishing it; the body is the config (persona and version are filled in)
+app.post('/admin/scoring/:persona/validate', requireAdmin, (req, res) => {
+    const entry = scoringEntry(req.params.persona);
+    if (!entry) {
+        return res.status(404).json({ success: false, error: `Unknown persona: ${req.params.persona}` });
+    }
+    const config = { ...req.body, persona: req.params.persona, version: entry.active + 1 };
+    const errors = validateScoringConfig(config);
+    res.json({ success: true, valid: errors.length === 0, validation_errors: errors });
+});
+
+// Publish the request body as the persona's next version and make it active
+// The file is written to config/scoring/ and earlier versions are kept
+app.post('/admin/scoring/:persona', requireAdmin, async (req, res) => {
+    const persona = req.params.persona;
+    const entry = scoringEntry(persona);
+    if (!entry) {
+        return res.status(404).json({ success: false, error: `Unknown persona: ${persona}` });
+    }
+    const { sections, statuses, note } = req.body || {};
+    const config = { persona, version: entry.active + 1, published_at: new Date().toISOString(), note: note || null, sections, statuses };
+    const errors = validateScoringConfig(config);
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid scoring config',
+            validation_errors: errors
+        });
+    }
+    try {
+        // "wx" fails if the version already exists, so two concurrent publishes cannot overwrite each other
+        await fs.writeFile(path.join(SCORING_CONFIG_DIR, `${persona}.v${config.version}.json`), JSON.stringify(config, null, 4) + '\n', { flag: 'wx' });
+        entry.versions[config.version] = config;
+        entry.active = config.version;
+        console.log(`✅ Scoring config published (${persona} v${config.version})`);
+        res.status(201).json({ success: true, persona, version: config.version, published_at: config.published_at });
+    } catch (error) {
+        console.error('Error publishing scoring config:', error);
+        res.status(error.code === 'EEXIST' ? 409 : 500).json({
+            success: false,
+            error: `Failed to publish scoring config: ${error.message}`
+        });
+    }
+});
+
+// ============================================
+// Helper Functions: Order Form Pipeline
+// ============================================
+
+/**
+ * Error for documents that can't be parsed; statusCode is the HTTP status to respond with
+ */
+function orderFormError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+}
+
+/**
+ * Run one document through the full parse pipeline (format detection, text extraction,
+ * field extraction, line items, provenance, confidence and flags)
+ * Returns the /parse-order-form response body; throws orderFormError for unusable documents
+ */
+async function parseOrderFormDocument(fileBuffer, fileName, fileType) {
+    // Detect the real format from magic bytes - the declared type and extension are not trusted
+    const format = detectDocumentFormat(fileBuffer);
+    if (!format) {
+        throw orderFormError('Unsupported or unrecognized file format. Please upload a PDF, DOCX, DOC, RTF or scanned image (PNG, JPG, TIFF) file.');
+    }
+    console.log(`Detected ${format.toUpperCase()} document (declared type: ${fileType}, name: ${fileName})`);
+
+    // Parse file content
+    let parsed;
+    try {
+        parsed = await extractDocumentText(fileBuffer, format);
+    } catch (parseError) {
+        console.error('Error parsing file:', parseError);
+        throw orderFormError(`Failed to parse document: ${parseError.message}. Please ensure it is a valid ${format.toUpperCase()} file.`);
+    }
+    const { text: textContent, ocr: ocrResult, pageOffsets, tableRows } = parsed;
+
+    if (!textContent || textContent.trim().length === 0) {
+        throw orderFormError('Could not extract text from the document. The file might be empty, corrupted, or too low quality for OCR.');
+    }
+
+    // Extract data from order form
+    // Use Gemini AI if available, otherwise fall back to pattern matching
+    let extractedData;
+    let confidence;
+    let evidence = {}; // Where each field was found - filled in by the extractor
+    let validation = null; // Schema validation report for the LLM response
+    let promptInfo = null; // Prompt template version sent to the LLM
+    let llm = null; // Provider and model that answered
+    
+    const extractionProvider = resolveLLMTask('extraction');
+    
+    if (isLLMAvailable('extraction')) {
+        try {
+            console.log(`Attempting AI extraction (${extractionProvider.name}/${extractionProvider.model})...`);
+            validation = {};
+            promptInfo = {};
+            llm = {};
+            extractedData = await extractOrderFormDataWithGemini(textContent, fileBuffer, fileType, evidence, validation, promptInfo, llm);
+            confidence = null; // Derived from per-field confidence below
+            console.log('✅ AI extraction successful');
+        } catch (error) {
+            console.error('AI extraction failed, falling back to pattern matching:', error.message);
+            console.error('Error details:', error);
+            validation = error.validation || null;
+            llm = null;
+            promptInfo = null;
+            evidence = {};
+            extractedData = extractOrderFormData(textContent, evidence);
+            confidence = calculateConfidence(extractedData, textContent);
+        }
+    } else {
+        console.log('Using pattern matching extraction (no LLM available)');
+        extractedData = extractOrderFormData(textContent, evidence);
+        confidence = calculateConfidence(extractedData, textContent);
+    }
+
+    // Purchased SKUs come from the order form's pricing table when there is one
+    const lineItems = parseLineItems(tableRows);
+    applyLineItems(extractedData, lineItems, evidence);
+    console.log(`Parsed ${lineItems.length} line item(s) from document tables`);
+
+    const fieldProvenance = buildFieldProvenance(extractedData, textContent, evidence, pageOffsets);
+    if (confidence === null) {
+        confidence = summarizeFieldConfidence(fieldProvenance);
+    }
+    
+    // OCR text is noisier than a native text layer - scale confidence by OCR quality
+    if (ocrResult) {
+        confidence = adjustConfidenceForOCR(confidence, ocrResult.confidence);
+    }
+    
+    const flags = generateFlags(extractedData, confidence, { ocrUsed: !!ocrResult, ocrSkippedPages: ocrResult ? ocrResult.skipped_pages : 0, fieldProvenance });
+
+    return {
+        success: true,
+        schema_version: ORDER_FORM_SCHEMA_VERSION,
+        extracted_data: extractedData,
+        field_provenance: fieldProvenance,
+        confidence: confidence,
+        ocr_used: !!ocrResult,
+        ocr_confidence: ocrResult ? ocrResult.confidence : null,
+        validation: validation,
+        llm: llm,
+        prompt: promptInfo,
+        flags: flags
+    };
+}
+
+/**
+ * Expand a batch upload into individual documents
+ * ZIP archives are unpacked (a DOCX is also a ZIP, so archives holding word/document.xml are kept as documents)
+ * Every document is held to BATCH_MAX_FILE_SIZE and charged to the request's BATCH_MAX_TOTAL_SIZE budget.
+ * Entries are inflated as streams and abandoned once they pass either limit, so a small archive
+ * cannot expand into gigabytes of memory
+ */
+async function expandBatchUploads(files) {
+    const documents = [];
+    const budget = { remaining: BATCH_MAX_TOTAL_SIZE };
+    let skipped = 0;
+
+    for (const file of files) {
+        if (documents.length >= BATCH_MAX_FILES) {
+            skipped++;
+            continue;
+        }
+
+        const isZip = file.buffer.length >= 4 && file.buffer.readUInt32BE(0) === 0x504B0304;
+        let archive = null;
+        if (isZip) {
+            try {
+                archive = await JSZip.loadAsync(file.buffer);
+            } catch (error) {
+                documents.push({ name: file.originalname, error: `Could not open ZIP archive: ${error.message}` });
+                continue;
+            }
+        }
+
+        if (!archive || archive.file('word/document.xml')) {
+            if (file.buffer.length > BATCH_MAX_FILE_SIZE) {
+                documents.push({ name: file.originalname, error: `File exceeds the ${BATCH_MAX_FILE_SIZE / (1024 * 1024)}MB limit` });
+            } else if (file.buffer.length > budget.remaining) {
+                documents.push({ name: file.originalname, error: `Batch exceeds the ${BATCH_MAX_TOTAL_SIZE / (1024 * 1024)}MB document limit - file skipped` });
+            } else {
+                budget.remaining -= file.buffer.length;
+                documents.push({ name: file.originalname, type: file.mimetype, buffer: file.buffer });
+            }
+            continue;
+        }
+
+        const entries = Object.values(archive.files).filter(entry => {
+            const baseName = path.posix.basename(entry.name);
+            return !entry.dir && !entry.name.startsWith('__MACOSX/') && !baseName.startsWith('.');
+        });
+        for (const [index, entry] of entries.entries()) {
+            if (documents.length >= BATCH_MAX_FILES) {
+                skipped += entries.length - index;
+                break;
+            }
+            const name = `${file.originalname}/${entry.name}`;
+            try {
+                const buffer = await inflateZipEntry(entry, budget);
+                documents.push({ name, type: 'application/octet-stream', buffer });
+            } catch (error) {
+                documents.push({ name, error: error.message });
+            }
+        }
+    }
+
+    if (skipped > 0) {
+        documents.push({ name: `${skipped} more file(s)`, error: `Batch limit of ${BATCH_MAX_FILES} documents reached - ${skipped} file(s) skipped` });
+    }
+
+    return documents;
+}
+
+/**
+ * Inflate one ZIP entry, stopping as soon as it passes BATCH_MAX_FILE_SIZE or the request's remaining budget
+ * The declared size is checked first; it can be forged, so the inflated bytes are counted as well
+ */
+function inflateZipEntry(entry, budget) {
+    const fileLimitError = () => new Error(`File exceeds the ${BATCH_MAX_FILE_SIZE / (1024 * 1024)}MB limit`);
+    const totalLimitError = () => new Error(`Batch exceeds the ${BATCH_MAX_TOTAL_SIZE / (1024 * 1024)}MB document limit - file skipped`);
+
+    const declaredSize = entry._data && entry._data.uncompressedSize;
+    if (declaredSize > BATCH_MAX_FILE_SIZE) return Promise.reject(fileLimitError());
+    if (declaredSize > budget.remaining) return Promise.reject(totalLimitError());
+
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        let settled = false;
+        const stream = entry.nodeStream('nodebuffer');
+        // Discarded bytes are not charged to the budget - only documents kept in memory are
+        const abort = (error) => {
+            if (settled) return;
+            settled = true;
+            stream.destroy();
+            reject(error);
+        };
+        stream.on('data', chunk => {
+            size += chunk.length;
+            if (size > BATCH_MAX_FILE_SIZE) return abort(fileLimitError());
+            if (size > budget.remaining) return abort(totalLimitError());
+            chunks.push(chunk);
+        });
+        stream.on('error', error => abort(new Error(`Could not extract file: ${error.message}`)));
+        stream.on('end', () => {
+            if (settled) return;
+            settled = true;
+            budget.remaining -= size;
+            resolve(Buffer.concat(chunks));
+        });
+    });
+}
+
+/**
+ * Run an async worker over items with at most `limit` in flight, keeping results in input order
+ */
+async function mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+const BATCH_CSV_COLUMNS = [
+    'file', 'status', 'error', 'organisation_name', 'purchased_modules', 'template_count',
+    'migration_contract_count', 'integration_systems', 'contract_start_date', 'contract_end_date',
+    'subscription_term_months', 'seat_count', 'arr', 'total_contract_value', 'currency',
+    'billing_frequency', 'confidence', 'warning_count'
+];
+
+/**
+ * One CSV row per batch document - list fields are joined with "; "
+ */
+function buildBatchCsv(results) {
+    const escapeCsv = (value) => {
+        if (value === null || value === undefined) return '';
+        let text = Array.isArray(value) ? value.join('; ') : String(value);
+        // Values come from uploaded documents - stop spreadsheets from running them as formulas
+        if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = results.map(result => {
+        const data = result.extracted_data || {};
+        const row = {
+            ...data,
+            file: result.file,
+            status: result.success ? 'parsed' : 'failed',
+            error: result.error || null,
+            confidence: result.success ? result.confidence : null,
+            warning_count: result.success ? result.flags.filter(f => f.type === 'warning').length : null
+        };
+        return BATCH_CSV_COLUMNS.map(column => escapeCsv(row[column])).join(',');
+    });
+
+    return [BATCH_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// ============================================
+// Helper Functions: Order Form Diff
+// ============================================
+
+/**
+ * Field-by-field diff of two extracted_data objects; only fields that differ are included
+ * Scalars give before/after (and delta for numbers), lists give added/removed,
+ * line items are matched by SKU (or description) and report added/removed/changed items
+ * Amendments usually restate only what changes, so a field missing from the amendment is
+ * reported as `not_stated` rather than removed
+ */
+function diffOrderFormData(before, after) {
+    const diff = {};
+    const sameValue = (a, b) => (a ?? null) === (b ?? null);
+
+    Object.keys(ORDER_FORM_FIELD_LABELS).forEach(field => {
+        const oldValue = before[field] ?? null;
+        const newValue = after[field] ?? null;
+
+        if (field === 'line_items') {
+            const lineItemDiff = diffLineItems(oldValue || [], newValue || []);
+            if (lineItemDiff) diff.line_items = lineItemDiff;
+            return;
+        }
+
+        if (Array.isArray(oldValue) || Array.isArray(newValue)) {
+            const oldList = oldValue || [];
+            const newList = newValue || [];
+            const normalize = (value) => String(value).trim().toLowerCase();
+            const added = newList.filter(v => !oldList.some(o => normalize(o) === normalize(v)));
+            const removed = oldList.filter(v => !newList.some(n => normalize(n) === normalize(v)));
+            if (newList.length === 0 && oldList.length > 0) {
+                diff[field] = { change: 'not_stated', before: oldList, after: newList, added: [], removed: [] };
+            } else if (added.length > 0 || removed.length > 0) {
+                diff[field] = { change: oldList.length === 0 ? 'added' : 'changed', before: oldList, after: newList, added, removed };
+            }
+            return;
+        }
+
+        if (!sameValue(oldValue, newValue)) {
+            const change = newValue === null ? 'not_stated' : oldValue === null ? 'added' : 'changed';
+            const entry = { change, before: oldValue, after: newValue };
+            if (typeof oldValue === 'number' && typeof newValue === 'number') {
+                entry.delta = newValue - oldValue;
+            }
+            diff[field] = entry;
+        }
+    });
+
+    return diff;
+}
+
+function diffLineItems(beforeItems, afterItems) {
+    const keyOf = (item) => String(item.sku || item.description || '').trim().toLowerCase();
+    const beforeByKey = new Map(beforeItems.map(item => [keyOf(item), item]));
+    const afterByKey = new Map(afterItems.map(item => [keyOf(item), item]));
+
+    const added = afterItems.filter(item => !beforeByKey.has(keyOf(item)));
+    const removed = beforeItems.filter(item => !afterByKey.has(keyOf(item)));
+    const changed = [];
+    afterItems.forEach(item => {
+        const previous = beforeByKey.get(keyOf(item));
+        if (!previous) return;
+        const fields = ['quantity', 'unit_price', 'total'].filter(f => (previous[f] ?? null) !== (item[f] ?? null));
+        if (fields.length > 0) changed.push({ before: previous, after: item, changed_fields: fields });
+    });
+
+    return added.length > 0 || removed.length > 0 || changed.length > 0 ? { added, removed, changed } : null;
+}
+
+/**
+ * Template count bucket used by the IM intake and implementation plan ("0-5", "5-15", "15+")
+ */
+function templateCountBucket(count) {
+    if (count === null || count === undefined) return null;
+    if (count <= 5) return '0-5';
+    if (count <= 15) return '5-15';
+    return '15+';
+}
+
+/**
+ * Migration volume option used by the IM intake and implementation plan
+ */
+function migrationVolumeBucket(count) {
+    if (count === null || count === undefined) return null;
+    if (count === 0) return 'None';
+    if (count <= 500) return 'Small (0-500)';
+    if (count <= 2000) return 'Medium (500-2000)';
+    return 'Large (2000+)';
+}
+
+/**
+ * Decide whether an amendment changes what the IM implementation plan is built from:
+ * purchased modules, template volume bucket, migration volume bucket and integration categories
+ * The baseline is the IM intake when one is supplied, otherwise the original order form
+ */
+function assessIMPlanImpact(before, after, imResponses = null) {
+    const changes = [];
+    const scope = imResponses?.im_section_2_scope_deliverables;
+    const migration = imResponses?.im_section_3_migration_details;
+    const integrations = imResponses?.im_section_4_integrations;
+
+    const moduleDiff = diffOrderFormData({ purchased_modules: before.purchased_modules }, { purchased_modules: after.purchased_modules }).purchased_modules;
+    if (moduleDiff && moduleDiff.change !== 'not_stated') {
+        const parts = [];
+        if (moduleDiff.added.length > 0) parts.push(`added ${moduleDiff.added.join(', ')}`);
+        if (moduleDiff.removed.length > 0) parts.push(`removed ${moduleDiff.removed.join(', ')}`);
+        changes.push({ area: 'Purchased modules', message: `Modules ${parts.join('; ')}` });
+    }
+
+    const baselineTemplates = scope?.template_count || templateCountBucket(before.template_count);
+    const newTemplates = templateCountBucket(after.template_count);
+    if (newTemplates && newTemplates !== baselineTemplates) {
+        changes.push({
+            area: 'Template Automation',
+            message: `Template volume moves from ${baselineTemplates || 'not set'} to ${newTemplates} (${after.template_count} templates)`
+        });
+    }
+
+    const baselineMigration = migration?.migration_volume || migrationVolumeBucket(before.migration_contract_count);
+    const newMigration = migrationVolumeBucket(after.migration_contract_count);
+    if (newMigration && newMigration !== baselineMigration) {
+        changes.push({
+            area: 'Migration',
+            message: `Migration volume moves from ${baselineMigration || 'not set'} to ${newMigration} (${after.migration_contract_count} contracts)`
+        });
+    }
+
+    const categoriesOf = (labels) => new Set((labels || []).map(resolveIntegrationCategory).filter(Boolean));
+    const baselineCategories = integrations ? categoriesOf(integrations.integration_types) : categoriesOf(before.integration_systems);
+    const newCategories = categoriesOf(after.integration_systems);
+    const addedCategories = [...newCategories].filter(c => !baselineCategories.has(c));
+    if (addedCategories.length > 0) {
+        const labels = addedCategories.map(c => productCatalog.categories[c]?.label || c);
+        changes.push({ area: 'Integrations', message: `New integration categories: ${labels.join(', ')}` });
+    }
+
+    return {
+        affects_scope: changes.length > 0,
+        baseline: imResponses ? 'im_intake_responses' : 'original_order_form',
+        changes
+    };
+}
+
+// ============================================
+// Helper Functions: Intake Prefill
+// ============================================
+
+// Option values offered by the intake forms (spotsmart-complete.html) for fields we prefill
+const INTAKE_OPTIONS = {
+    prospect_modules: ['Repository', 'Approvals', 'Workflows', 'Assisted Migration', 'Integrations'],
+    prospect_systems: ['CRM', 'CPQ', 'HRIS', 'ERP', 'Custom system', 'Others'],
+    customer_modules: ['Repository', 'Approvals', 'Assisted Workflows', 'Assisted Migration', 'Integrations'],
+    customer_systems: ['CRM', 'CPQ', 'HRIS', 'ERP', 'Salesforce', 'HubSpot', 'DocuSign', 'SSO', 'Custom system', 'Others'],
+    im_integration_types: ['CRM (SFDC, HubSpot, Zoho)', 'CPQ', 'HRIS', 'ERP', 'Storage', 'Custom API']
+};
+
+const INTAKE_PERSONAS = ['prospect', 'customer', 'implementation_manager', 'legacy'];
+
+/**
+ * Pick the bucket label whose upper bound covers the count; buckets are [label, maxInclusive] pairs
+ */
+function bucketFor(count, buckets) {
+    if (count === null || count === undefined) return null;
+    const bucket = buckets.find(([, max]) => max === null || count <= max);
+    return bucket ? bucket[0] : null;
+}
+
+/**
+ * Map catalog module names onto a persona's module chips (e.g. Migration -> "Assisted Migration")
+ */
+function moduleOptionsFor(modules, options) {
+    const values = [];
+    (modules || []).forEach(name => {
+        const entry = productCatalog.modules.find(m => m.name === name);
+        const option = options.find(o => o.toLowerCase() === name.toLowerCase()) ||
+            (entry && options.find(o => findCatalogMatch(entry, o)));
+        if (option && !values.includes(option)) values.push(option);
+    });
+    return values;
+}
+
+/**
+ * Map integration systems onto a persona's system chips: the system itself when offered,
+ * otherwise its catalog category, otherwise "Others" (the names are returned in `other`)
+ */
+function integrationOptionsFor(systems, options) {
+    const values = [];
+    const other = [];
+    (systems || []).forEach(name => {
+        const category = resolveIntegrationCategory(name);
+        const option = options.find(o => o.toLowerCase() === name.toLowerCase()) ||
+            (category && options.find(o => resolveIntegrationCategory(o) === category));
+        if (option) {
+            if (!values.includes(option)) values.push(option);
+        } else {
+            other.push(name);
+            if (options.includes('Others') && !values.includes('Others')) values.push('Others');
+        }
+    });
+    return { values, other };
+}
+
+/**
+ * Turn an order form parse result into partially filled intake_responses for each persona
+ * Only fields the order form actually answers are set. Every prefilled field is listed in
+ * `prefilled_fields` (keyed "<section>.<field>") as machine-sourced, with the extracted value and confidence
+ */
+function mapOrderFormToIntake(extractedData, fieldProvenance = {}, personas = INTAKE_PERSONAS) {
+    const data = extractedData || {};
+    const result = {};
+
+    personas.forEach(persona => {
+        // The legacy form predates personas and has no user_type
+        const intakeResponses = persona === 'legacy' ? {} : { user_type: persona };
+        const prefilledFields = {};
+
+        const set = (section, field, value, sourceField) => {
+            if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) return;
+            intakeResponses[section] = intakeResponses[section] || {};
+            intakeResponses[section][field] = value;
+            prefilledFields[`${section}.${field}`] = {
+                machine_sourced: true,
+                source: 'order_form',
+                source_field: sourceField,
+                extracted_value: data[sourceField] ?? null,
+                confidence: fieldProvenance[sourceField]?.confidence ?? null
+            };
+        };
+
+        const templateCount = data.template_count ?? null;
+        const migrationCount = data.migration_contract_count ?? null;
+        const hasMigration = (migrationCount !== null && migrationCount > 0) || (data.purchased_modules || []).includes('Migration');
+
+        if (persona === 'prospect') {
+            const systems = integrationOptionsFor(data.integration_systems, INTAKE_OPTIONS.prospect_systems);
+            set('prospect_section_1_basics', 'company_name', data.organisation_name, 'organisation_name');
+            set('prospect_section_1_basics', 'user_count', bucketFor(data.seat_count, [['1-10', 10], ['10-50', 50], ['50-200', 200], ['200+', null]]), 'seat_count');
+            set('prospect_section_2_scope_clarity', 'modules_interested', moduleOptionsFor(data.purchased_modules, INTAKE_OPTIONS.prospect_modules), 'purchased_modules');
+            set('prospect_section_4_assisted_migration', 'volume_of_contracts', bucketFor(migrationCount, [['0-500', 500], ['500-2000', 2000], ['2000-5000', 5000], ['5000+', null]]), 'migration_contract_count');
+            set('prospect_section_5_systems_integrations', 'systems_used', systems.values, 'integration_systems');
+            set('prospect_section_5_systems_integrations', 'systems_other', systems.other.join(', '), 'integration_systems');
+        } else if (persona === 'customer') {
+            const systems = integrationOptionsFor(data.integration_systems, INTAKE_OPTIONS.customer_systems);
+            set('customer_section_2_purchased_scope', 'purchased_modules', moduleOptionsFor(data.purchased_modules, INTAKE_OPTIONS.customer_modules), 'purchased_modules');
+            set('customer_section_2_purchased_scope', 'template_count', bucketFor(templateCount, [['1-10', 10], ['10-20', 20], ['20-50', 50], ['50+', null]]), 'template_count');
+            if (hasMigration) {
+                set('customer_section_4_migration', 'migration_needed', 'Yes', migrationCount !== null ? 'migration_contract_count' : 'purchased_modules');
+            }
+            set('customer_section_4_migration', 'migration_contract_count', bucketFor(migrationCount, [['0-500', 500], ['500-2000', 2000], ['2000+', null]]), 'migration_contract_count');
+            set('customer_section_5_integrations', 'integration_systems', systems.values, 'integration_systems');
+            set('customer_section_5_integrations', 'integration_systems_other', systems.other.join(', '), 'integration_systems');
+        } else if (persona === 'implementation_manager') {
+            set('im_section_1_customer_context', 'customer_name', data.organisation_name, 'organisation_name');
+            set('im_section_2_scope_deliverables', 'template_count', templateCountBucket(templateCount), 'template_count');
+            set('im_section_3_migration_details', 'migration_volume', migrationVolumeBucket(migrationCount), 'migration_contract_count');
+            set('im_section_4_integrations', 'integration_types', integrationOptionsFor(data.integration_systems, INTAKE_OPTIONS.im_integration_types).values, 'integration_systems');
+        } else if (persona === 'legacy') {
+            set('section_1_account_stakeholder', 'organisation_name', data.organisation_name, 'organisation_name');
+            set('section_2_order_form_scope', 'purchased_modules', data.purchased_modules, 'purchased_modules');
+            set('section_2_order_form_scope', 'template_count', templateCount, 'template_count');
+            set('section_2_order_form_scope', 'migration_contract_count', migrationCount, 'migration_contract_count');
+            set('section_2_order_form_scope', 'integrations', data.integration_systems, 'integration_systems');
+        }
+
+        result[persona] = { intake_responses: intakeResponses, prefilled_fields: prefilledFields };
+    });
+
+    return result;
+}
+
+// ============================================
+// Helper Functions: Assessment Pipeline
+// ============================================
+
+/**
+ * Run one readiness assessment; returns the /assess response body with its debug payload
+ * (gemini_request, gemini_response) - pass it through assessmentResponseFor before sending it
+ * Prospect, customer and IM scores and status labels are rule-based (calculatePersonaReadiness);
+ * the LLM writes the narrative. The legacy layout is still scored by the LLM
+ * emit(event, data) receives progress events for /assess/stream - the LLM response is only streamed when it is set
+ */
+async function runAssessment(intake_responses, { forceRefresh = false, emit = null } = {}) {
+    const persona = intake_responses.user_type;
+    const traceId = newAssessmentTraceId();
+    const sentSections = new Set();
+    const progress = (event, data) => { if (emit) emit(event, data); };
+    const sendSection = (section, data) => {
+        if (data === null || data === undefined) return;
+        sentSections.add(section);
+        progress('section', { section, data });
+    };
+
+    let readinessScore = null;
+    let redFlags = [];
+    let actionItems = { customer: [], spotdraft: [] };
+    let implementationPlan = null;
+    let aiInsights = null;
+    let geminiRequest = null;
+    let geminiResponse = null;
+    let statusLabel = 'Calculating...';
+    let statusDescription = 'Analyzing your responses...';
+    let validation = null;
+    let llm = null;
+    let promptInfo = null;
+    let redaction = null;
+    let preparationList = null;
+    let mode = 'llm';
+    let fallbackReason = null;
+
+    progress('stage', { stage: 'validating', message: 'Checking intake responses' });
+    if (!isLLMAvailable('assessment')) {
+        mode = 'rule_based';
+        fallbackReason = `No LLM available for assessment (provider: ${resolveLLMTask('assessment').name})`;
+    }
+
+    // Only LLM results are cached - rule-based ones are cheap to recompute
+    // status: "hit", "miss", "bypass" (force_refresh or LLM_RECORDING=record), "disabled" or "skipped" (no LLM call)
+    const cache = { status: 'skipped', backend: assessmentCache ? assessmentCache.backend : null, key: null };
+    if (mode === 'llm' && !assessmentCache) {
+        cache.status = 'disabled';
+    } else if (mode === 'llm') {
+        // Recording never reads the cache, so every prompt reaches the model and gets a fixture
+        const bypass = forceRefresh || LLM_RECORDING === 'record';
+        cache.key = assessmentCacheKey(intake_responses);
+        const cached = bypass ? null : await assessmentCache.get(cache.key);
+        if (cached) {
+            console.log(`Assessment cache hit (${cache.key.slice(0, 12)})`);
+            progress('stage', { stage: 'cache', message: 'Using a cached assessment' });
+            sendAssessmentSections(cached.data, sendSection);
+            return { ...cached.data, cache: { ...cache, status: 'hit', cached_at: cached.cached_at, expires_at: cached.expires_at } };
+        }
+        cache.status = bypass ? 'bypass' : 'miss';
+    }
+
+    const scoring = getScoringRules(persona) ? calculatePersonaReadiness(persona, intake_responses) : null;
+    if (scoring) {
+        progress('stage', { stage: 'scoring', message: 'Calculating readiness scores' });
+        sendSection('readiness', scoring);
+    }
+
+    // The IM plan is rule-based in both modes
+    let imPlan = null;
+    if (persona === 'implementation_manager') {
+        progress('stage', { stage: 'plan', message: 'Building the implementation plan' });
+        imPlan = createIMImplementationPlan(intake_responses);
+        sendSection('implementation_plan', imPlan);
+    }
+
+    if (mode === 'llm') {
+        try {
+            // Route to persona-specific assessment functions
+            let assessmentResult;
+            if (persona === 'prospect') {
+                // Prospect assessment (4 sections)
+                assessmentResult = await calculateProspectReadinessWithGemini(intake_responses, scoring, emit);
+            } else if (persona === 'customer') {
+                // Customer assessment (7 sections)
+                assessmentResult = await calculateCustomerReadinessWithGemini(intake_responses, scoring, emit);
+            } else if (persona === 'implementation_manager') {
+                // IM assessment (6 sections) with rule-based plan generation
+                assessmentResult = await calculateIMReadinessWithGemini(intake_responses, imPlan, scoring, emit);
+            } else {
+                // Fallback to standard assessment (for backward compatibility)
+                assessmentResult = await calculateReadinessWithGemini(intake_responses, emit);
+            }
+            readinessScore = assessmentResult.readiness_score;
+            redFlags = assessmentResult.red_flags;
+            actionItems = assessmentResult.action_items;
+            implementationPlan = imPlan || assessmentResult.implementation_plan;
+            preparationList = assessmentResult.preparation_list || null;
+            aiInsights = assessmentResult.ai_insights;
+            statusLabel = assessmentResult.status_label;
+            statusDescription = assessmentResult.status_description;
+            geminiRequest = assessmentResult.gemini_request;
+            geminiResponse = assessmentResult.gemini_response;
+            validation = assessmentResult.validation;
+            llm = assessmentResult.llm;
+            promptInfo = assessmentResult.prompt;
+            redaction = assessmentResult.redaction;
+            console.log(`${persona || 'Standard'} assessment completed successfully`);
+        } catch (error) {
+            // An LLM outage or unusable response never blocks an assessment - fall back to the rules
+            console.error('Error calculating assessment with Gemini, using rule-based assessment:', error);
+            mode = 'rule_based';
+            fallbackReason = error.message;
+            validation = error.validation || null;
+            promptInfo = error.prompt || null;
+            geminiRequest = error.geminiRequest || null;
+            geminiResponse = error.geminiResponse || `Error: ${error.message}`;
+        }
+    }
+
+    if (mode === 'rule_based') {
+        console.log(`Rule-based assessment (${fallbackReason})`);
+        progress('stage', { stage: 'rule_based', message: 'Building the assessment from rules', reason: fallbackReason });
+        const ruleBased = calculateRuleBasedAssessment(intake_responses, imPlan);
+        readinessScore = ruleBased.readiness_score;
+        redFlags = ruleBased.red_flags;
+        actionItems = ruleBased.action_items;
+        implementationPlan = ruleBased.implementation_plan;
+        preparationList = ruleBased.preparation_list || null;
+        aiInsights = ruleBased.ai_insights;
+        statusLabel = ruleBased.status_label;
+        statusDescription = ruleBased.status_description;
+    }
+
+    const responseData = {
+        trace_id: traceId,
+        mode: mode,
+        fallback_reason: fallbackReason,
+        readiness_score: readinessScore,
+        status_label: statusLabel,
+        status_description: statusDescription,
+        scoring_config: scoring ? scoring.scoring_config : null,
+        red_flags: redFlags,
+        action_items: actionItems,
+        implementation_plan: implementationPlan,
+        ...(preparationList ? { preparation_list: preparationList } : {}),
+        ai_insights: aiInsights,
+        validation: validation,
+        llm: llm,
+        prompt: promptInfo,
+        redaction: redaction,
+        gemini_request: geminiRequest,
+        gemini_response: geminiResponse
+    };
+    sendAssessmentSections(responseData, (section, data) => {
+        if (!sentSections.has(section)) sendSection(section, data);
+    });
+
+    // Fallback-model answers are not cached, so the primary model's answer replaces them once it recovers
+    await saveAssessmentTrace(responseData, { persona: persona || 'legacy', cache: cache.status });
+
+    if (cache.key && mode === 'llm' && !llm?.fallback) {
+        try {
+            const entry = await assessmentCache.set(cache.key, responseData);
+            cache.cached_at = entry.cached_at;
+            cache.expires_at = entry.expires_at;
+        } catch (error) {
+            console.warn(`⚠️  Could not cache assessment: ${error.message}`);
+        }
+    }
+
+    console.log('Assessment response prepared:', {
+        trace_id: traceId,
+        overall_score: readinessScore?.overall,
+        red_flags_count: redFlags?.length || 0,
+        has_gemini_request: !!geminiRequest,
+        has_gemini_response: !!geminiResponse,
+        request_length: geminiRequest?.length || 0,
+        response_length: geminiResponse?.length || 0
+    });
+
+    return { ...responseData, cache };
+}
+
+/**
+ * Split an assessment into the sections the results screens render: readiness, red_flags,
+ * action_items, implementation_plan, preparation_list and ai_insights
+ */
+function sendAssessmentSections(data, sendSection) {
+    sendSection('readiness', {
+        readiness_score: data.readiness_score,
+        status_label: data.status_label,
+        status_description: data.status_description
+    });
+    ['red_flags', 'action_items', 'implementation_plan', 'preparation_list', 'ai_insights']
+        .forEach(section => sendSection(section, data[section]));
+}
+
+// ============================================
+// Helper Functions: LLM Providers
+// ============================================
+// Every LLM call goes through generateWithLLM(task, prompt). A provider implements
+// isAvailable(model) and generate(prompt, { model, task, onToken, signal }) -> response text.
+// generateWithLLM wraps each call in callLLMResiliently (timeout, retries, circuit breaker).
+
+function loadLLMConfigSync() {
+    const config = JSON.parse(readFileSync(LLM_CONFIG_PATH, 'utf8'));
+    const errors = [];
+    const providers = config.providers || {};
+    Object.entries(providers).forEach(([name, settings]) => {
+        if (!['gemini', 'openai_compatible', 'mock'].includes(settings.type)) {
+            errors.push(`providers.${name}: unknown type "${settings.type}"`);
+        }
+    });
+    LLM_TASKS.forEach(task => {
+        const taskConfig = config.tasks?.[task] || {};
+        [taskConfig, ...(taskConfig.fallbacks || [])].forEach((candidate, i) => {
+            const where = i === 0 ? `tasks.${task}` : `tasks.${task}.fallbacks[${i - 1}]`;
+            const settings = providers[candidate.provider];
+            if (!settings) {
+                errors.push(`${where}: unknown provider "${candidate.provider}"`);
+            } else if (settings.type !== 'mock' && !candidate.model && !settings.default_model) {
+                errors.push(`${where}: no model (set "model" or the provider's "default_model")`);
+            }
+        });
+    });
+    if (process.env.LLM_PROVIDER && !providers[process.env.LLM_PROVIDER]) {
+        errors.push(`LLM_PROVIDER: unknown provider "${process.env.LLM_PROVIDER}"`);
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid LLM config at ${LLM_CONFIG_PATH}: ${errors.join('; ')}`);
+    }
+    return config;
+}
+
+/**
+ * Primary provider name, settings and model for a task
+ */
+function resolveLLMTask(task) {
+    return resolveLLMCandidates(task)[0];
+}
+
+/**
+ * Providers and models to try for a task, in order: the task's own, then its fallbacks
+ * LLM_PROVIDER replaces the whole list with that provider and its default_model
+ */
+function resolveLLMCandidates(task) {
+    const taskConfig = llmConfig.tasks[task];
+    const entries = process.env.LLM_PROVIDER
+        ? [{ provider: process.env.LLM_PROVIDER, model: process.env.LLM_PROVIDER === taskConfig.provider ? taskConfig.model : null }]
+        : [taskConfig, ...(taskConfig.fallbacks || [])];
+    return entries.map(entry => {
+        const settings = llmConfig.providers[entry.provider];
+        return { name: entry.provider, settings, model: entry.model || settings.default_model || null };
+    });
+}
+
+/**
+ * Candidates that can be called: the provider is configured (API key, base URL) and the model
+ * has not been rejected as unknown by an earlier call
+ */
+function usableLLMCandidates(task) {
+    return resolveLLMCandidates(task).filter(({ name, model }) =>
+        getLLMProvider(name).isAvailable(model) && llmModelStatus[`${name}/${model}`]?.status !== 'invalid');
+}
+
+function getLLMProvider(name) {
+    if (!llmProviders[name]) {
+        const settings = llmConfig.providers[name];
+        if (settings.type === 'gemini') llmProviders[name] = createGeminiProvider(name, settings);
+        else if (settings.type === 'openai_compatible') llmProviders[name] = createOpenAICompatibleProvider(name, settings);
+        else llmProviders[name] = createMockProvider(name);
+    }
+    return llmProviders[name];
+}
+
+// In replay mode every task is answered from fixtures, with or without API keys
+function isLLMAvailable(task) {
+    return LLM_RECORDING === 'replay' || usableLLMCandidates(task).length > 0;
+}
+
+/**
+ * Send a prompt to the provider configured for a task; returns { text, provider, model, fallback }
+ * With onToken the response is streamed and onToken(text) is called for each chunk as it arrives
+ * LLM_RECORDING=record saves the prompt/response pair as a fixture; replay answers from the fixture instead
+ */
+async function generateWithLLM(task, prompt, onToken = null) {
+    if (LLM_RECORDING === 'replay') {
+        return replayLLMFixture(task, prompt, onToken);
+    }
+    const result = await generateWithLLMCandidates(task, prompt, onToken);
+    if (LLM_RECORDING === 'record') {
+        await recordLLMFixture(task, prompt, result);
+    }
+    return result;
+}
+
+/**
+ * Try the task's provider/model candidates in order; returns { text, provider, model, fallback }
+ * When a candidate fails (after its retries) the next fallback is tried; `fallback` is true when
+ * the answer did not come from the task's primary model
+ */
+async function generateWithLLMCandidates(task, prompt, onToken) {
+    const candidates = usableLLMCandidates(task);
+    if (candidates.length === 0) {
+        throw new Error(`No usable LLM for ${task}`);
+    }
+    const primary = resolveLLMTask(task);
+    let lastError;
+
+    for (const { name, settings, model } of candidates) {
+        const provider = getLLMProvider(name);
+        try {
+            const result = await callLLMResiliently(`${name}/${model}`, settings, (signal) => provider.generate(prompt, { model, task, onToken, signal }));
+            recordLLMModelStatus(name, model, 'ok');
+            return {
+                text: result.text,
+                provider: name,
+                model: result.model,
+                fallback: name !== primary.name || model !== primary.model
+            };
+        } catch (error) {
+            lastError = error;
+            if (isUnknownModelError(error)) {
+                recordLLMModelStatus(name, model, 'invalid', error);
+                console.warn(`⚠️  ${name} rejected model ${model}: ${error.message}`);
+            }
+            if (candidates.length > 1) {
+                console.warn(`⚠️  ${task} call to ${name}/${model} failed (${error.message}) - trying the next fallback`);
+            }
+        }
+    }
+    throw lastError;
+}
+
+/**
+ * Remember whether a model worked, so an unknown model is skipped after its first failure
+ */
+function recordLLMModelStatus(providerName, model, status, error = null) {
+    const key = `${providerName}/${model}`;
+    if (llmModelStatus[key]?.status !== status) {
+        console.log(`${status === 'ok' ? '✅' : '⚠️ '} LLM model ${key}: ${status}`);
+    }
+    llmModelStatus[key] = { status, error: error ? error.message : null, checked_at: new Date().toISOString() };
+}
+
+// Gemini: 404 "models/x is not found"; OpenAI-style servers: 404 model_not_found / "model 'x' not found"
+function isUnknownModelError(error) {
+    return error.status === 404 || /model.*(not found|does not exist)|not found.*model/i.test(error.message || '');
+}
+
+/**
+ * Google Gemini; the API key is read from the env var named in api_key_env (GEMINI_API_KEY by default)
+ */
+function createGeminiProvider(name, settings) {
+    const apiKey = process.env[settings.api_key_env || 'GEMINI_API_KEY'];
+    let client = null;
+
+    return {
+        isAvailable: (model) => !!apiKey && !!model,
+        async generate(prompt, { model, onToken, signal }) {
+            client = client || new GoogleGenerativeAI(apiKey);
+            const generativeModel = client.getGenerativeModel({ model });
+            return { text: await generateGeminiText(generativeModel, prompt, onToken, signal), model };
+        }
+    };
+}
+
+async function generateGeminiText(generativeModel, prompt, onToken, signal) {
+    if (!onToken) {
+        const result = await generativeModel.generateContent(prompt, { signal });
+        return (await result.response).text();
+    }
+    const result = await generativeModel.generateContentStream(prompt, { signal });
+    let text = '';
+    for await (const chunk of result.stream) {
+        const delta = chunk.text();
+        text += delta;
+        if (delta) onToken(delta);
+    }
+    return text;
+}
+
+/**
+ * Any server with an OpenAI-style /chat/completions endpoint (OpenAI, Ollama, llama.cpp, vLLM)
+ * LLM_BASE_URL overrides the configured base_url
+ */
+function createOpenAICompatibleProvider(name, settings) {
+    const baseUrl = (process.env.LLM_BASE_URL || settings.base_url || '').replace(/\/+$/, '');
+    const apiKey = settings.api_key_env ? process.env[settings.api_key_env] : null;
+
+    return {
+        isAvailable: (model) => !!baseUrl && !!model,
+        async generate(prompt, { model, onToken, signal }) {
+            const response = await fetch(`${baseUrl}/chat/completions`, {
+                method: 'POST',
+                signal,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+                },
+                body: JSON.stringify({
+                    model,
+                    messages: [{ role: 'user', content: prompt }],
+                    temperature: settings.temperature ?? 0,
+                    ...(settings.json_mode ? { response_format: { type: 'json_object' } } : {}),
+                    ...(onToken ? { stream: true } : {})
+                })
+            });
+            if (!response.ok) {
+                const body = await response.text();
+                const error = new Error(`${name} returned HTTP ${response.status}: ${body.slice(0, 200)}`);
+                error.status = response.status;
+                const retryAfter = parseFloat(response.headers.get('retry-after'));
+                if (retryAfter >= 0) error.retryAfterMs = retryAfter * 1000;
+                throw error;
+            }
+            if (onToken) {
+                return readOpenAIStream(name, response, model, onToken);
+            }
+            const body = await response.json();
+            const text = body.choices?.[0]?.message?.content;
+            if (typeof text !== 'string') {
+                throw new Error(`${name} returned no message content`);
+            }
+            return { text, model: body.model || model };
+        }
+    };
+}
+
+/**
+ * Collect a streamed /chat/completions response ("data: {...}" lines, ending with "data: [DONE]")
+ */
+async function readOpenAIStream(name, response, model, onToken) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let streamModel = model;
+
+    for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+            const payload = line.trim().replace(/^data:\s*/, '');
+            if (!line.trim().startsWith('data:') || payload === '[DONE]') continue;
+            const chunk = JSON.parse(payload);
+            const delta = chunk.choices?.[0]?.delta?.content || '';
+            streamModel = chunk.model || streamModel;
+            text += delta;
+            if (delta) onToken(delta);
+        }
+    }
+    if (!text) {
+        throw new Error(`${name} returned no message content`);
+    }
+    return { text, model: streamModel };
+}
+
+const MOCK_DATE = '2030-01-01';
+
+/**
+ * Deterministic offline provider: the same prompt always gives the same response
+ * - extraction: runs the pattern extractor over the document text in the prompt
+ * - assessment: fills the JSON structure at the end of the prompt with placeholder values
+ * - insights: a fixed insights object
+ */
+function createMockProvider(name) {
+    return {
+        isAvailable: () => true,
+        async generate(prompt, { task, onToken }) {
+            let text;
+            if (task === 'extraction') {
+                text = mockExtractionResponse(prompt);
+            } else if (task === 'insights') {
+                text = JSON.stringify({
+                    key_strengths: ['Mock strength'],
+                    critical_concerns: ['Mock concern'],
+                    recommendations: ['Mock recommendation'],
+                    risk_assessment: 'Mock risk assessment.',
+                    timeline_confidence: 'medium'
+                }, null, 2);
+            } else {
+                text = mockStructuredResponse(prompt);
+            }
+            if (onToken) {
+                for (let i = 0; i < text.length; i += 80) onToken(text.slice(i, i + 80));
+            }
+            return { text, model: 'mock' };
+        }
+    };
+}
+
+function mockExtractionResponse(prompt) {
+    const start = prompt.indexOf('Document text:\n');
+    const end = prompt.lastIndexOf('\n\nReturn ONLY valid JSON');
+    const documentText = start === -1 ? '' : prompt.slice(start + 'Document text:\n'.length, end === -1 ? undefined : end);
+
+    const evidence = {};
+    const data = extractOrderFormData(documentText, evidence);
+    const quote = (ev) => (ev && typeof ev.index === 'number')
+        ? { quote: documentText.substr(ev.index, ev.length), confidence: ev.confidence }
+        : undefined;
+
+    data.evidence = {};
+    Object.entries(evidence).forEach(([field, ev]) => {
+        if (typeof ev.index === 'number') {
+            data.evidence[field] = quote(ev);
+        } else if (ev && typeof ev === 'object') {
+            data.evidence[field] = {};
+            Object.entries(ev).forEach(([item, itemEv]) => { data.evidence[field][item] = quote(itemEv); });
+        }
+    });
+    return JSON.stringify(data, null, 2);
+}
+
+/**
+ * Fill the JSON structure that follows "Return ONLY valid JSON" in the prompt: integers -> 70, booleans -> false,
+ * "<a|b|c>" -> "a", dates -> MOCK_DATE, other "<...>" strings -> "Mock response", [...] -> []
+ */
+function mockStructuredResponse(prompt) {
+    const start = prompt.indexOf('{', prompt.lastIndexOf('Return ONLY valid JSON'));
+    const end = prompt.lastIndexOf('}');
+    if (start === -1 || end < start) return '{}';
+    return prompt.slice(start, end + 1)
+        .replace(/"<YYYY-MM-DD>"/g, `"${MOCK_DATE}"`)
+        .replace(/"<([^">|]+(?:\|[^">|]+)+)>"/g, (match, options) => JSON.stringify(options.split('|')[0].trim()))
+        .replace(/"<[^"]*>"/g, '"Mock response"')
+        .replace(/<integer[^>]*>/g, '70')
+        .replace(/<boolean>/g, 'false')
+        .replace(/\[\.\.\.\]/g, '[]');
+}
+
+// ============================================
+// Helper Functions: LLM Record/Replay
+// ============================================
+
+/**
+ * "Today" for plan dates and deadlines - LLM_FIXTURE_CLOCK while recording or replaying
+ */
+function currentDate() {
+    return LLM_RECORDING === 'off' ? new Date() : new Date(LLM_FIXTURE_CLOCK);
+}
+
+// A fixture is keyed by the sha256 of the exact prompt, so any change to the intake, document,
+// prompt template or redaction produces a new key and must be re-recorded
+function llmFixtureKey(prompt) {
+    return crypto.createHash('sha256').update(prompt).digest('hex');
+}
+
+/**
+ * Save one prompt/response pair to LLM_FIXTURES_DIR/<key>.json (the prompt is kept for diffing)
+ * A failed write is logged and does not fail the request
+ */
+async function recordLLMFixture(task, prompt, result) {
+    const key = llmFixtureKey(prompt);
+    const fixture = {
+        key,
+        task,
+        provider: result.provider,
+        model: result.model,
+        fallback: result.fallback,
+        recorded_at: new Date().toISOString(),
+        prompt,
+        response: result.text
+    };
+    try {
+        await fs.mkdir(LLM_FIXTURES_DIR, { recursive: true });
+        // Write then rename so a concurrent replay never reads a half-written fixture
+        const fixturePath = path.join(LLM_FIXTURES_DIR, `${key}.json`);
+        const tempPath = `${fixturePath}.${process.pid}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(fixture, null, 2));
+        await fs.rename(tempPath, fixturePath);
+        console.log(`Recorded LLM fixture ${key.slice(0, 12)} (${task})`);
+    } catch (error) {
+        console.warn(`⚠️  Could not record LLM fixture ${key.slice(0, 12)}: ${error.message}`);
+    }
+}
+
+/**
+ * Answer a prompt from its recorded fixture; returns { text, provider, model, fallback } like generateWithLLM
+ * A prompt without a fixture throws, so /assess and /parse-order-form use their rule-based fallbacks
+ */
+async function replayLLMFixture(task, prompt, onToken) {
+    const key = llmFixtureKey(prompt);
+    let fixture;
+    try {
+        fixture = JSON.parse(await fs.readFile(path.join(LLM_FIXTURES_DIR, `${key}.json`), 'utf8'));
+    } catch (error) {
+        const message = error.code === 'ENOENT'
+            ? `No recorded LLM fixture for this ${task} prompt (${key.slice(0, 12)}) - re-record with LLM_RECORDING=record`
+            : `Unreadable LLM fixture ${key.slice(0, 12)}: ${error.message}`;
+        console.warn(`⚠️  ${message}`);
+        throw new Error(message);
+    }
+    if (onToken) {
+        for (let i = 0; i < fixture.response.length; i += 80) onToken(fixture.response.slice(i, i + 80));
+    }
+    return { text: fixture.response, provider: fixture.provider, model: fixture.model, fallback: fixture.fallback };
+}
+
+// ============================================
+// Helper Functions: LLM Resilience
+// ============================================
+// callLLMResiliently gives every attempt a timeout, retries transient failures (timeouts, network
+// errors, HTTP 429/5xx) with exponential backoff and jitter, and keeps one circuit breaker per
+// provider/model - fallbacks usually share the primary's provider, so a failing model must not be
+// reset by its fallback's successes. After LLM_BREAKER_THRESHOLD consecutive transient failures the breaker opens and calls
+// fail fast for LLM_BREAKER_COOLDOWN_MS; then a single trial call decides whether it closes again.
+// Provider settings in config/llm.json can override timeout_ms and max_retries.
+
+const LLM_RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+const LLM_RETRYABLE_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'];
+const llmBreakers = {}; // Circuit breaker state by "provider/model"
+
+/**
+ * Run an LLM call with timeout, retries and the circuit breaker of its target ("provider/model")
+ * `call(signal)` must pass the AbortSignal on to the provider so timed-out requests are cancelled
+ */
+async function callLLMResiliently(target, settings, call) {
+    const timeoutMs = settings.timeout_ms || LLM_TIMEOUT_MS;
+    const maxRetries = settings.max_retries ?? LLM_MAX_RETRIES;
+    const breaker = getLLMBreaker(target);
+
+    for (let attempt = 1; ; attempt++) {
+        checkLLMBreaker(target, breaker);
+        try {
+            const result = await callWithTimeout(call, timeoutMs, target);
+            recordLLMSuccess(target, breaker);
+            return result;
+        } catch (error) {
+            const retryable = isRetryableLLMError(error);
+            if (retryable) recordLLMFailure(target, breaker, error);
+            else releaseLLMTrial(breaker);
+            if (!retryable || attempt > maxRetries || breaker.state === 'open') {
+                throw error;
+            }
+            const delay = llmRetryDelay(attempt, error);
+            console.warn(`⚠️  ${target} call failed (${error.message}) - retry ${attempt}/${maxRetries} in ${delay}ms`);
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+}
+
+async function callWithTimeout(call, timeoutMs, target) {
+    const controller = new AbortController();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`${target} did not respond within ${timeoutMs}ms`);
+            error.code = 'LLM_TIMEOUT';
+            controller.abort(error);
+            reject(error);
+        }, timeoutMs);
+    });
+    try {
+        // Race as well as abort - a provider that ignores the signal still can't hang the request
+        return await Promise.race([call(controller.signal), timeout]);
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function isRetryableLLMError(error) {
+    if (error.code === 'LLM_TIMEOUT' || error.name === 'AbortError') return true;
+    if (LLM_RETRYABLE_STATUS.includes(error.status)) return true;
+    const code = error.code || error.cause?.code;
+    if (LLM_RETRYABLE_CODES.includes(code)) return true;
+    // fetch() reports network failures as "TypeError: fetch failed"
+    return error instanceof TypeError && /fetch failed/i.test(error.message);
+}
+
+/**
+ * Exponential backoff with full jitter; a Retry-After from the provider is used as the minimum
+ */
+function llmRetryDelay(attempt, error) {
+    const ceiling = Math.min(LLM_RETRY_MAX_DELAY_MS, LLM_RETRY_BASE_DELAY_MS * 2 ** (attempt - 1));
+    const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    return Math.min(LLM_RETRY_MAX_DELAY_MS, Math.max(delay, error.retryAfterMs || 0));
+}
+
+function getLLMBreaker(target) {
+    if (!llmBreakers[target]) {
+        llmBreakers[target] = { state: 'closed', consecutive_failures: 0, opened_at: null, last_error: null, trial_in_flight: false };
+    }
+    return llmBreakers[target];
+}
+
+/**
+ * Throw a 503 while the breaker is open; after the cooldown let exactly one trial call through
+ */
+function checkLLMBreaker(target, breaker) {
+    if (breaker.state === 'open' && Date.now() - breaker.opened_at >= LLM_BREAKER_COOLDOWN_MS) {
+        breaker.state = 'half_open';
+        console.log(`${target} circuit breaker half-open - sending a trial request`);
+    }
+    if (breaker.state === 'half_open' && !breaker.trial_in_flight) {
+        breaker.trial_in_flight = true;
+        return;
+    }
+    if (breaker.state !== 'closed') {
+        const error = new Error(`${target} circuit breaker is open after repeated failures (last error: ${breaker.last_error})`);
+        error.statusCode = 503;
+        error.code = 'LLM_CIRCUIT_OPEN';
+        throw error;
+    }
+}
+
+function recordLLMSuccess(target, breaker) {
+    if (breaker.state !== 'closed') {
+        console.log(`✅ ${target} circuit breaker closed`);
+    }
+    Object.assign(breaker, { state: 'closed', consecutive_failures: 0, opened_at: null, trial_in_flight: false });
+}
+
+function recordLLMFailure(target, breaker, error) {
+    breaker.consecutive_failures++;
+    breaker.last_error = error.message;
+    if (breaker.state === 'half_open' || breaker.consecutive_failures >= LLM_BREAKER_THRESHOLD) {
+        if (breaker.state !== 'open') {
+            console.warn(`⚠️  ${target} circuit breaker open for ${LLM_BREAKER_COOLDOWN_MS}ms (${breaker.consecutive_failures} consecutive failures)`);
+        }
+        Object.assign(breaker, { state: 'open', opened_at: Date.now(), trial_in_flight: false });
+    }
+}
+
+// A non-transient error (bad request, invalid key) says nothing about provider health -
+// end a half-open trial without changing the state so the next call can try again
+function releaseLLMTrial(breaker) {
+    breaker.trial_in_flight = false;
+}
+
+/**
+ * Breaker state for /health
+ */
+function describeLLMBreaker(target) {
+    const breaker = getLLMBreaker(target);
+    return {
+        state: breaker.state,
+        consecutive_failures: breaker.consecutive_failures,
+        opened_at: breaker.opened_at ? new Date(breaker.opened_at).toISOString() : null,
+        retry_at: breaker.state === 'open' ? new Date(breaker.opened_at + LLM_BREAKER_COOLDOWN_MS).toISOString() : null,
+        last_error: breaker.last_error
+    };
+}
+
+// ============================================
+// Helper Functions: LLM Response Validation
+// ============================================
+// generateValidatedJSON(task, prompt, schema) parses the response leniently, coerces
+// mistyped values the schema makes unambiguous (e.g. "85" for an integer score) and
+// re-asks the model with the validation errors when fields are missing or wrong.
+
+function loadLLMSchemasSync() {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    readdirSync(LLM_SCHEMAS_DIR)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => ajv.addSchema(JSON.parse(readFileSync(path.join(LLM_SCHEMAS_DIR, file), 'utf8')), file));
+    return ajv;
+}
+
+/**
+ * Error for an LLM response that is still invalid after the repair attempts
+ * `validation` is the report returned to the client; statusCode 502 because the upstream model is at fault
+ */
+function llmValidationError(message, validation, responseText) {
+    const error = new Error(message);
+    error.statusCode = 502;
+    error.validation = validation;
+    error.responseText = responseText;
+    return error;
+}
+
+/**
+ * Prompt the model for JSON matching schemas/<schemaName>.json
+ * Returns { data, text, provider, model, fallback, validation }; throws llmValidationError when every attempt fails
+ * validation: { schema, valid, attempts, repairs, coerced, errors, failed_fields, previous_attempts }
+ * With emit the response is streamed: emit('stage'), emit('token') per chunk, then emit('stage') for parsing
+ */
+async function generateValidatedJSON(task, prompt, schemaName, emit = null) {
+    const previousAttempts = [];
+    let currentPrompt = prompt;
+
+    for (let attempt = 1; attempt <= LLM_REPAIR_ATTEMPTS + 1; attempt++) {
+        if (emit) emit('stage', { stage: 'llm', attempt, message: attempt === 1 ? 'Generating assessment' : `Re-asking the model (attempt ${attempt})` });
+        const { text, provider, model, fallback } = await generateWithLLM(task, currentPrompt, emit ? (delta) => emit('token', { attempt, text: delta }) : null);
+        if (emit) emit('stage', { stage: 'parsing', attempt, message: 'Validating the model response' });
+
+        let data = null;
+        let repairs = [];
+        let coerced = [];
+        let errors;
+        try {
+            ({ data, repairs } = parseLLMJson(text));
+            ({ coerced, errors } = validateLLMOutput(schemaName, data));
+        } catch (parseError) {
+            errors = [{ path: '(root)', message: `response is not valid JSON: ${parseError.message}` }];
+        }
+
+        const validation = {
+            schema: schemaName,
+            valid: errors.length === 0,
+            attempts: attempt,
+            repairs,
+            coerced,
+            errors,
+            failed_fields: [...new Set(errors.map(e => e.path))],
+            previous_attempts: previousAttempts
+        };
+        if (validation.valid) {
+            if (attempt > 1 || repairs.length > 0 || coerced.length > 0) {
+                console.log(`${schemaName}: valid after ${attempt} attempt(s), ${repairs.length} repair(s), ${coerced.length} coercion(s)`);
+            }
+            return { data, text, provider, model, fallback, validation };
+        }
+
+        console.warn(`${schemaName}: attempt ${attempt} failed validation: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+        if (attempt > LLM_REPAIR_ATTEMPTS) {
+            throw llmValidationError(
+                `LLM response failed schema validation (${validation.failed_fields.join(', ')})`,
+                validation,
+                text
+            );
+        }
+        previousAttempts.push({ attempt, errors });
+        currentPrompt = buildRepairPrompt(prompt, text, errors);
+    }
+}
+
+/**
+ * Re-ask prompt: the original prompt plus the rejected response and what was wrong with it
+ */
+function buildRepairPrompt(prompt, previousText, errors) {
+    const maxEcho = 8000;
+    const echoed = previousText.length > maxEcho ? `${previousText.slice(0, maxEcho)}\n... (truncated)` : previousText;
+    return `${prompt}
+
+Your previous response could not be used because it failed validation:
+${errors.map(e => `- ${e.path}: ${e.message}`).join('\n')}
+
+Previous response:
+${echoed}
+
+Return the complete corrected JSON object only, with every required field, no markdown and no explanations.`;
+}
+
+/**
+ * Lenient JSON parsing for model output; returns { data, repairs } where repairs lists what was fixed
+ * Handles code fences or prose around the object, comments, trailing commas and truncated output
+ */
+function parseLLMJson(text) {
+    const repairs = [];
+    let jsonText = String(text || '').trim();
+
+    if (/```/.test(jsonText)) {
+        jsonText = jsonText.replace(/```(?:json)?/gi, '').trim();
+        repairs.push('removed markdown code fences');
+    }
+    const start = jsonText.indexOf('{');
+    if (start === -1) {
+        throw new Error('no JSON object found');
+    }
+    if (start > 0) {
+        repairs.push('removed text outside the JSON object');
+    }
+    jsonText = jsonText.slice(start);
+    const end = jsonText.lastIndexOf('}');
+    try {
+        const data = JSON.parse(jsonText.slice(0, end + 1));
+        if (end !== jsonText.length - 1) pushOnce(repairs, 'removed text outside the JSON object');
+        return { data, repairs };
+    } catch (error) {
+        // Fall through to the tolerant scan below
+    }
+
+    // Single pass outside string literals: drop comments and trailing commas, track open brackets
+    let output = '';
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+    for (let i = 0; i < jsonText.length; i++) {
+        const ch = jsonText[i];
+        if (inString) {
+            output += ch;
+            if (escaped) escaped = false;
+            else if (ch === '\\') escaped = true;
+            else if (ch === '"') inString = false;
+            continue;
+        }
+        if (ch === '/' && jsonText[i + 1] === '/') {
+            const newline = jsonText.indexOf('\n', i);
+            i = newline === -1 ? jsonText.length : newline - 1;
+            pushOnce(repairs, 'removed comments');
+            continue;
+        }
+        if (ch === '/' && jsonText[i + 1] === '*') {
+            const close = jsonText.indexOf('*/', i + 2);
+            i = close === -1 ? jsonText.length : close + 1;
+            pushOnce(repairs, 'removed comments');
+            continue;
+        }
+        if (ch === '"') inString = true;
+        if (ch === '{' || ch === '[') stack.push(ch === '{' ? '}' : ']');
+        if (ch === '}' || ch === ']') {
+            const trimmed = output.replace(/,\s*$/, '');
+            if (trimmed !== output) pushOnce(repairs, 'removed trailing commas');
+            output = trimmed;
+            stack.pop();
+        }
+        output += ch;
+        if (stack.length === 0) {
+            // End of the root object
+            if (jsonText.slice(i + 1).trim()) pushOnce(repairs, 'removed text outside the JSON object');
+            break;
+        }
+    }
+
+    // Truncated response: close the open string, drop a dangling separator and close open brackets
+    if (inString || stack.length > 0) {
+        if (inString) output += '"';
+        output = output.replace(/,\s*$/, '').replace(/:\s*$/, ': null');
+        output += stack.reverse().join('');
+        repairs.push('closed truncated JSON');
+    }
+
+    return { data: JSON.parse(output), repairs };
+}
+
+function pushOnce(list, value) {
+    if (!list.includes(value)) list.push(value);
+}
+
+/**
+ * Validate parsed model output against a schema, coercing values first where the fix is unambiguous
+ * Returns { coerced: [{ path, from, to }], errors: [{ path, message }] } and updates `data` in place
+ */
+function validateLLMOutput(schemaName, data) {
+    const validate = llmSchemaValidator.getSchema(`${schemaName}.json`);
+    if (!validate) {
+        throw new Error(`Unknown LLM output schema: ${schemaName}`);
+    }
+
+    const coerced = [];
+    // Each pass can expose new errors (e.g. a coerced number then fails its range check)
+    for (let pass = 0; pass < 3 && !validate(data); pass++) {
+        let changed = false;
+        validate.errors.forEach(error => {
+            const pointer = error.instancePath.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+            if (pointer.length === 0) return;
+            const parent = pointer.slice(0, -1).reduce((node, key) => (node == null ? node : node[key]), data);
+            const key = pointer[pointer.length - 1];
+            if (parent == null || typeof parent !== 'object') return;
+            const from = parent[key];
+            const to = coerceLLMValue(from, error);
+            if (to === undefined || Object.is(to, from)) return;
+            parent[key] = to;
+            coerced.push({ path: formatInstancePath(error.instancePath), from, to });
+            changed = true;
+        });
+        if (!changed) break;
+    }
+
+    const errors = validate(data) ? [] : validate.errors.map(error => ({
+        path: formatInstancePath(error.instancePath, error.params.missingProperty),
+        message: error.keyword === 'required' ? 'is required but missing' : error.message
+    }));
+    return { coerced, errors };
+}
+
+/**
+ * Coerced value for a failed keyword, or undefined when there is no safe coercion
+ */
+function coerceLLMValue(value, error) {
+    if (error.keyword === 'type') {
+        const types = [].concat(error.params.type);
+        if ((types.includes('integer') || types.includes('number')) && (typeof value === 'string' || typeof value === 'number')) {
+            // "85", "85%", "85/100", "1,200" and 72.5 for an integer
+            const match = String(value).trim().replace(/,/g, '').match(/^(-?\d+(?:\.\d+)?)\s*(?:%|\/\s*100)?$/);
+            if (!match) return undefined;
+            const number = parseFloat(match[1]);
+            return types.includes('integer') ? Math.round(number) : number;
+        }
+        if (types.includes('boolean') && typeof value === 'string' && /^(true|false)$/i.test(value.trim())) {
+            return value.trim().toLowerCase() === 'true';
+        }
+        if (types.includes('string') && (typeof value === 'number' || typeof value === 'boolean')) {
+            return String(value);
+        }
+        if (types.includes('array')) {
+            if (value === null) return [];
+            if (typeof value === 'string') return [value];
+        }
+        return undefined;
+    }
+    if (error.keyword === 'enum' && typeof value === 'string') {
+        // "High" / " high " for "high"
+        const normalized = value.trim().toLowerCase();
+        return error.params.allowedValues.find(allowed => typeof allowed === 'string' && allowed.toLowerCase() === normalized);
+    }
+    if ((error.keyword === 'minimum' || error.keyword === 'maximum') && typeof value === 'number') {
+        // Out-of-range scores (e.g. 105) are clamped rather than re-asked
+        return error.params.limit;
+    }
+    return undefined;
+}
+
+/**
+ * "/readiness_score/breakdown" + "templates" -> "readiness_score.breakdown.templates"; "/red_flags/0/issue" -> "red_flags[0].issue"
+ */
+function formatInstancePath(instancePath, missingProperty) {
+    const parts = instancePath.split('/').slice(1).map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'));
+    if (missingProperty) parts.push(missingProperty);
+    if (parts.length === 0) return '(root)';
+    return parts.reduce((result, part) => (/^\d+$/.test(part) ? `${result}[${part}]` : (result ? `${result}.${part}` : part)), '');
+}
+
+// ============================================
+// Helper Functions: Prompt Templates
+// ============================================
+// Each template file starts with a front matter block:
+//   ---
+//   id: assessment-prospect
+//   version: 2
+//   description: ...
+//   variables: intake_json, readiness_scores
+//   ---
+// followed by the prompt text. Every {{placeholder}} must be listed in `variables`.
+
+function loadPromptRegistrySync() {
+    const files = readdirSync(PROMPTS_DIR).filter(file => file.endsWith('.txt'));
+    const selection = JSON.parse(readFileSync(PROMPT_CONFIG_PATH, 'utf8'));
+    const registry = buildPromptRegistry(files.map(file => ({ file, content: readFileSync(path.join(PROMPTS_DIR, file), 'utf8') })), selection);
+    if (registry.errors.length > 0) {
+        throw new Error(`Invalid prompt templates: ${registry.errors.join('; ')}`);
+    }
+    console.log(`Loaded ${Object.values(registry.templates).reduce((n, versions) => n + Object.keys(versions).length, 0)} prompt template(s) from ${PROMPTS_DIR}`);
+    return registry;
+}
+
+/**
+ * Parse template files and check them against the selection config
+ * Returns { templates: { id: { version: template } }, selection, loaded_at, errors }
+ */
+function buildPromptRegistry(files, selection) {
+    const templates = {};
+    const errors = [];
+
+    files.forEach(({ file, content }) => {
+        const match = content.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+        if (!match) {
+            errors.push(`${file}: missing front matter`);
+            return;
+        }
+        const meta = {};
+        match[1].split(/\r?\n/).forEach(line => {
+            const separator = line.indexOf(':');
+            if (separator > 0) meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        });
+        const body = match[2].replace(/\r?\n$/, '');
+        const variables = (meta.variables || '').split(',').map(v => v.trim()).filter(Boolean);
+        const used = [...new Set([...body.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]))];
+
+        if (!/^[a-z0-9-]+$/.test(meta.id || '')) errors.push(`${file}: id must be lowercase letters, digits and dashes`);
+        if (!/^\d+$/.test(meta.version || '')) errors.push(`${file}: version must be a whole number`);
+        used.filter(v => !variables.includes(v)).forEach(v => errors.push(`${file}: {{${v}}} is not listed in variables`));
+        variables.filter(v => !used.includes(v)).forEach(v => errors.push(`${file}: variable "${v}" is never used`));
+        if (file !== `${meta.id}.v${meta.version}.txt`) errors.push(`${file}: file name must be ${meta.id}.v${meta.version}.txt`);
+        if (templates[meta.id]?.[meta.version]) errors.push(`${file}: duplicate ${meta.id} v${meta.version}`);
+
+        templates[meta.id] = templates[meta.id] || {};
+        templates[meta.id][meta.version] = { id: meta.id, version: meta.version, description: meta.description || '', variables, body, file };
+    });
+
+    Object.entries(selection || {}).forEach(([id, choice]) => {
+        const versions = templates[id] || {};
+        if (!templates[id]) errors.push(`${PROMPT_CONFIG_PATH}: unknown prompt "${id}"`);
+        if (choice.version !== undefined && !versions[choice.version]) errors.push(`${id}: pinned version ${choice.version} does not exist`);
+        if (choice.ab !== undefined) {
+            const weights = Object.entries(choice.ab || {});
+            if (weights.length === 0) errors.push(`${id}: "ab" must map versions to weights`);
+            weights.forEach(([version, weight]) => {
+                if (!versions[version]) errors.push(`${id}: A/B version ${version} does not exist`);
+                if (typeof weight !== 'number' || weight <= 0) errors.push(`${id}: A/B weight for version ${version} must be a positive number`);
+            });
+        }
+    });
+
+    return { templates, selection: selection || {}, loaded_at: new Date().toISOString(), errors };
+}
+
+/**
+ * Version to use for a prompt: { version, selection: "pinned" | "ab" | "latest" }
+ * A/B buckets are derived from `seed`, so the same input always gets the same version
+ */
+function selectPromptVersion(id, seed) {
+    const versions = promptRegistry.templates[id];
+    if (!versions) {
+        throw new Error(`Unknown prompt template: ${id}`);
+    }
+    const choice = promptRegistry.selection[id] || {};
+    if (choice.ab) {
+        const weights = Object.entries(choice.ab);
+        const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+        const bucket = parseInt(crypto.createHash('sha256').update(`${id}:${seed}`).digest('hex').slice(0, 8), 16) / 0x100000000 * total;
+        let cumulative = 0;
+        const picked = weights.find(([, weight]) => (cumulative += weight) > bucket) || weights[weights.length - 1];
+        return { version: picked[0], selection: 'ab' };
+    }
+    if (choice.version !== undefined) {
+        return { version: String(choice.version), selection: 'pinned' };
+    }
+    const latest = Object.keys(versions).sort((a, b) => Number(b) - Number(a))[0];
+    return { version: latest, selection: 'latest' };
+}
+
+/**
+ * Render a prompt template; returns { id, version, selection, text }
+ */
+function renderPrompt(id, variables, seed = '') {
+    const { version, selection } = selectPromptVersion(id, seed);
+    const template = promptRegistry.templates[id][version];
+    const text = template.body.replace(/\{\{(\w+)\}\}/g, (placeholder, name) => {
+        if (variables[name] === undefined) {
+            throw new Error(`Prompt ${id} v${version}: no value for {{${name}}}`);
+        }
+        return String(variables[name]);
+    });
+    return { id, version, selection, text };
+}
+
+/**
+ * Prompt reference for API responses (everything but the text)
+ */
+function promptReference(rendered) {
+    return rendered ? { id: rendered.id, version: rendered.version, selection: rendered.selection } : null;
+}
+
+// ============================================
+// Helper Functions: Assessment Cache
+// ============================================
+
+// Prompt template used for each persona's LLM assessment (part of the cache key)
+const ASSESSMENT_PROMPT_IDS = {
+    prospect: 'assessment-prospect',
+    customer: 'assessment-customer',
+    implementation_manager: 'assessment-implementation-manager'
+};
+
+/**
+ * Create the assessment cache backend; null when caching is off
+ * Backends share one interface: get(key) -> { data, cached_at, expires_at } | null, set(key, data) -> entry
+ */
+function createAssessmentCache(backend) {
+    const ttlMs = ASSESSMENT_CACHE_TTL_SECONDS * 1000;
+    if (backend === 'off') {
+        console.log('Assessment cache disabled');
+        return null;
+    }
+    if (backend === 'memory') {
+        return createMemoryAssessmentCache(ttlMs, ASSESSMENT_CACHE_MAX_ENTRIES);
+    }
+    if (backend === 'file') {
+        return createFileAssessmentCache(ASSESSMENT_CACHE_DIR, ttlMs);
+    }
+    throw new Error(`Unknown ASSESSMENT_CACHE backend "${backend}" (expected memory, file or off)`);
+}
+
+/**
+ * In-process cache; the oldest entry is evicted once maxEntries is reached
+ */
+function createMemoryAssessmentCache(ttlMs, maxEntries) {
+    const entries = new Map();
+
+    return {
+        backend: 'memory',
+        async get(key) {
+            const entry = entries.get(key);
+            if (!entry) return null;
+            if (Date.parse(entry.expires_at) <= Date.now()) {
+                entries.delete(key);
+                return null;
+            }
+            return entry;
+        },
+        async set(key, data) {
+            const entry = newCacheEntry(data, ttlMs);
+            entries.delete(key);
+            entries.set(key, entry);
+            if (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            return entry;
+        }
+    };
+}
+
+/**
+ * One JSON file per entry, so cached assessments survive restarts and can be shared between instances
+ */
+function createFileAssessmentCache(dir, ttlMs) {
+    const entryPath = (key) => path.join(dir, `${key}.json`);
+
+    return {
+        backend: 'file',
+        async get(key) {
+            let entry;
+            try {
+                entry = JSON.parse(await fs.readFile(entryPath(key), 'utf8'));
+            } catch (error) {
+                if (error.code !== 'ENOENT') console.warn(`⚠️  Unreadable assessment cache entry ${key}: ${error.message}`);
+                return null;
+            }
+            if (Date.parse(entry.expires_at) <= Date.now()) {
+                await fs.unlink(entryPath(key)).catch(() => {});
+                return null;
+            }
+            return entry;
+        },
+        async set(key, data) {
+            const entry = newCacheEntry(data, ttlMs);
+            await fs.mkdir(dir, { recursive: true });
+            // Write then rename so a concurrent read never sees a half-written file
+            const tempPath = `${entryPath(key)}.${process.pid}.tmp`;
+            await fs.writeFile(tempPath, JSON.stringify(entry));
+            await fs.rename(tempPath, entryPath(key));
+            return entry;
+        }
+    };
+}
+
+function newCacheEntry(data, ttlMs) {
+    const now = Date.now();
+    return { data, cached_at: new Date(now).toISOString(), expires_at: new Date(now + ttlMs).toISOString() };
+}
+
+/**
+ * Cache key for an LLM assessment: sha256 of the normalized intake, persona, prompt version, scoring config version and model
+ */
+function assessmentCacheKey(intake_responses) {
+    const persona = intake_responses.user_type || 'legacy';
+    const promptId = Object.hasOwn(ASSESSMENT_PROMPT_IDS, persona) ? ASSESSMENT_PROMPT_IDS[persona] : 'assessment-legacy';
+    const { version } = selectPromptVersion(promptId, JSON.stringify(intake_responses));
+    // The model that will be tried first - a primary model rejected as unknown is skipped
+    const { name, model } = usableLLMCandidates('assessment')[0] || resolveLLMTask('assessment');
+    const scoringRules = getScoringRules(persona);
+
+    return crypto.createHash('sha256').update(JSON.stringify({
+        intake: normalizeIntakeForCache(intake_responses),
+        persona,
+        prompt: `${promptId}@v${version}`,
+        scoring: scoringRules ? scoringRules.version : null,
+        provider: name,
+        model: model || null
+    })).digest('hex');
+}
+
+/**
+ * Canonical form of an intake: object keys sorted, strings trimmed, unanswered (null/empty) fields dropped
+ * Array order is kept - some answers are ranked lists
+ */
+function normalizeIntakeForCache(value) {
+    if (Array.isArray(value)) {
+        return value.map(normalizeIntakeForCache);
+    }
+    if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((normalized, key) => {
+            const item = normalizeIntakeForCache(value[key]);
+            if (item !== null && item !== undefined && item !== '') normalized[key] = item;
+            return normalized;
+        }, {});
+    }
+    return typeof value === 'string' ? value.trim() : value;
+}
+
+// ============================================
+// Helper Functions: Assessment Traces
+// ============================================
+
+const ASSESSMENT_TRACE_ID_PATTERN = /^asm_[0-9a-f]{16}$/;
+const ASSESSMENT_DEBUG_FIELDS = ['gemini_request', 'gemini_response'];
+
+function createAssessmentTraceStore(backend) {
+    const ttlMs = ASSESSMENT_TRACE_TTL_SECONDS * 1000;
+    if (backend === 'off') {
+        console.log('Assessment traces disabled');
+        return null;
+    }
+    if (backend === 'memory') {
+        return createMemoryAssessmentCache(ttlMs, ASSESSMENT_TRACE_MAX_ENTRIES);
+    }
+    if (backend === 'file') {
+        return createFileAssessmentCache(ASSESSMENT_TRACE_DIR, ttlMs);
+    }
+    throw new Error(`Unknown ASSESSMENT_TRACES backend "${backend}" (expected memory, file or off)`);
+}
+
+function newAssessmentTraceId() {
+    return `asm_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+/**
+ * Store what an assessment sent to and got back from the LLM, for GET /debug/assessments/:traceId
+ * A failed write is logged and does not fail the assessment
+ */
+async function saveAssessmentTrace(responseData, details) {
+    if (!assessmentTraces) return;
+    try {
+        await assessmentTraces.set(responseData.trace_id, {
+            trace_id: responseData.trace_id,
+            ...details,
+            mode: responseData.mode,
+            fallback_reason: responseData.fallback_reason,
+            llm: responseData.llm,
+            prompt: responseData.prompt,
+            validation: responseData.validation,
+            gemini_request: responseData.gemini_request,
+            gemini_response: responseData.gemini_response
+        });
+    } catch (error) {
+        console.warn(`⚠️  Could not store assessment trace ${responseData.trace_id}: ${error.message}`);
+    }
+}
+
+/**
+ * True when the request carries DEBUG_API_TOKEN or ADMIN_API_TOKEN
+ * (Authorization: Bearer <token>, X-Debug-Token or X-Admin-Token header)
+ */
+function isDebugRequest(req) {
+    const authHeader = req.get('authorization') || '';
+    const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : (req.get('x-debug-token') || req.get('x-admin-token'));
+    // Both comparisons always run, so the time taken doesn't reveal which token matched
+    const matches = [DEBUG_API_TOKEN, ADMIN_API_TOKEN].map(expected => tokensMatch(token, expected));
+    return matches.some(Boolean);
+}
+
+/**
+ * The assessment as this caller may see it: debug callers get everything, everyone else
+ * gets the result without the prompt and raw LLM response (trace_id points to them)
+ */
+function assessmentResponseFor(req, data) {
+    if (isDebugRequest(req)) {
+        return data;
+    }
+    const publicData = { ...data };
+    ASSESSMENT_DEBUG_FIELDS.forEach(field => delete publicData[field]);
+    return publicData;
+}
+
+// ============================================
+// Helper Functions: PII Redaction
+// ============================================
+// Intake answers and order form text are redacted before they go into a prompt: names, emails,
+// organisations and phone numbers become placeholders (PERSON_1, EMAIL_2, ORG_1, ...), and the
+// placeholders in the model's response are restored to the original values.
+//
+// Field policies (config/pii-redaction.json "fields"), matched against the end of the field path:
+//   PERSON | EMAIL | ORG | PHONE   replace the whole value (each item of a list) with a placeholder
+//   scan                           replace known values and EMAIL/PHONE patterns inside free text
+//   keep                           send unchanged
+//   drop                           leave the field out of the prompt
+// keep, drop and scan also apply to everything under the field; "default" covers unlisted fields.
+
+function loadPIIPolicySync() {
+    const policy = JSON.parse(readFileSync(PII_POLICY_PATH, 'utf8'));
+    const errors = validatePIIPolicy(policy);
+    if (errors.length > 0) {
+        throw new Error(`Invalid PII policy at ${PII_POLICY_PATH}: ${errors.join('; ')}`);
+    }
+    if (process.env.PII_REDACTION === 'off') {
+        policy.enabled = false;
+    }
+    console.log(`PII redaction ${policy.enabled ? 'enabled' : 'disabled'} (${Object.keys(policy.fields || {}).length} field rules)`);
+    return policy;
+}
+
+function validatePIIPolicy(policy) {
+    const errors = [];
+    const checkFields = (fields, where) => Object.entries(fields || {}).forEach(([field, action]) => {
+        if (!PII_FIELD_ACTIONS.includes(action)) errors.push(`${where}.${field}: unknown action "${action}" (expected ${PII_FIELD_ACTIONS.join(', ')})`);
+    });
+    const checkPatterns = (patterns, where) => (patterns || []).forEach(pattern => {
+        if (!PII_PATTERNS[pattern]) errors.push(`${where}: unknown pattern "${pattern}" (expected ${Object.keys(PII_PATTERNS).join(', ')})`);
+    });
+
+    if (typeof policy.enabled !== 'boolean') errors.push('"enabled" must be true or false');
+    if (policy.default !== undefined && !['scan', 'keep'].includes(policy.default)) errors.push('"default" must be "scan" or "keep"');
+    checkFields(policy.fields, 'fields');
+    checkPatterns(policy.patterns, 'patterns');
+    checkFields(policy.order_form?.fields, 'order_form.fields');
+    checkPatterns(policy.order_form?.patterns, 'order_form.patterns');
+    return errors;
+}
+
+/**
+ * Create a redactor for one request. The same value always gets the same placeholder within it,
+ * and a value seen in a PERSON/ORG/EMAIL field is also replaced wherever it appears in free text
+ */
+function createPIIRedactor(policy = piiPolicy) {
+    const byValue = new Map(); // lower-cased original -> placeholder
+    const byPlaceholder = new Map(); // placeholder -> original
+    const counts = {};
+
+    const placeholderFor = (type, value) => {
+        const key = value.trim().toLowerCase();
+        if (!byValue.has(key)) {
+            counts[type] = (counts[type] || 0) + 1;
+            const placeholder = `${type}_${counts[type]}`;
+            byValue.set(key, placeholder);
+            byPlaceholder.set(placeholder, value.trim());
+        }
+        return byValue.get(key);
+    };
+
+    const scanText = (text, patterns) => {
+        let result = text;
+        // Longest values first so "Acme Corp" wins over "Acme"
+        [...byValue.keys()].filter(value => value.length >= 3).sort((a, b) => b.length - a.length).forEach(value => {
+            result = result.replace(new RegExp(`(?<![\\w@.])${escapeRegExp(value)}(?![\\w@])`, 'gi'), byValue.get(value));
+        });
+        (patterns || []).forEach(type => {
+            result = result.replace(PII_PATTERNS[type], match => {
+                if (type === 'PHONE' && !isLikelyPhoneNumber(match)) return match;
+                return placeholderFor(type, match);
+            });
+        });
+        return result;
+    };
+
+    const applyAction = (value, action) => {
+        if (typeof value !== 'string' || !value.trim() || action === 'keep') return value;
+        if (action === 'scan') return scanText(value, policy.patterns);
+        return placeholderFor(action, value);
+    };
+
+    // First pass assigns placeholders to PERSON/EMAIL/ORG/PHONE fields, so the second pass can
+    // replace those values in free text that comes earlier in the intake
+    const walk = (value, pathSegments, inherited, assignOnly) => {
+        const action = matchPIIFieldRule(policy.fields, pathSegments) || inherited;
+        if (action === 'drop') return undefined;
+        if (Array.isArray(value)) {
+            return value.map(item => walk(item, pathSegments, action, assignOnly)).filter(item => item !== undefined);
+        }
+        if (value && typeof value === 'object') {
+            // A placeholder type only applies to the field's own value, not to the fields of an object under it
+            const childAction = PII_PLACEHOLDER_TYPES.includes(action) ? (policy.default || 'scan') : action;
+            return Object.entries(value).reduce((redacted, [key, child]) => {
+                const result = walk(child, [...pathSegments, key], childAction, assignOnly);
+                if (result !== undefined) redacted[key] = result;
+                return redacted;
+            }, {});
+        }
+        if (assignOnly) {
+            if (PII_PLACEHOLDER_TYPES.includes(action)) applyAction(value, action);
+            return value;
+        }
+        return applyAction(value, action);
+    };
+
+    return {
+        enabled: policy.enabled,
+
+        /**
+         * Redacted copy of an intake (or any JSON value) according to the field policy
+         */
+        redactIntake(intake) {
+            if (!policy.enabled) return intake;
+            walk(intake, [], policy.default || 'scan', true);
+            return walk(intake, [], policy.default || 'scan', false);
+        },
+
+        /**
+         * Redact order form text. Values the pattern extractor finds for the fields in
+         * policy.order_form.fields are replaced, along with the order_form patterns
+         */
+        redactOrderFormText(text) {
+            if (!policy.enabled) return text;
+            const found = extractOrderFormData(text, {});
+            Object.entries(policy.order_form?.fields || {}).forEach(([field, action]) => {
+                if (!PII_PLACEHOLDER_TYPES.includes(action)) return;
+                // The pattern extractor can run past the end of a line - only the first line is the value
+                [].concat(found[field] || []).filter(value => typeof value === 'string')
+                    .map(value => value.split('\n')[0].trim())
+                    .filter(value => value.length >= 3)
+                    .forEach(value => placeholderFor(action, value));
+            });
+            return scanText(text, policy.order_form?.patterns);
+        },
+
+        /**
+         * Replace known values and patterns in any other prompt content (e.g. a generated plan)
+         */
+        redactValue(value) {
+            if (!policy.enabled) return value;
+            return walk(value, [], 'scan', false);
+        },
+
+        /**
+         * Put the original values back into a model response (strings and object keys)
+         */
+        restore(value) {
+            if (byPlaceholder.size === 0) return value;
+            const restoreText = text => text.replace(/\b(PERSON|EMAIL|ORG|PHONE)_\d+\b/g, placeholder => byPlaceholder.get(placeholder) ?? placeholder);
+            const restoreValue = item => {
+                if (typeof item === 'string') return restoreText(item);
+                if (Array.isArray(item)) return item.map(restoreValue);
+                if (item && typeof item === 'object') {
+                    return Object.fromEntries(Object.entries(item).map(([key, child]) => [restoreText(key), restoreValue(child)]));
+                }
+                return item;
+            };
+            return restoreValue(value);
+        },
+
+        /**
+         * Placeholder counts per type for API responses (never the original values)
+         */
+        summary() {
+            return { enabled: policy.enabled, placeholders: { ...counts } };
+        }
+    };
+}
+
+/**
+ * Most specific rule matching the end of a field path; "*" matches any one segment
+ */
+function matchPIIFieldRule(fields, pathSegments) {
+    let best = null;
+    Object.entries(fields || {}).forEach(([rule, action]) => {
+        const ruleSegments = rule.split('.');
+        if (ruleSegments.length > pathSegments.length) return;
+        const tail = pathSegments.slice(-ruleSegments.length);
+        const matches = ruleSegments.every((segment, i) => segment === '*' || segment === tail[i]);
+        if (matches && (!best || ruleSegments.length > best.length)) best = { length: ruleSegments.length, action };
+    });
+    return best ? best.action : null;
+}
+
+function isLikelyPhoneNumber(match) {
+    const digits = match.replace(/\D/g, '').length;
+    return digits >= 9 && digits <= 15 && (/^\+/.test(match) || /[\s().-]/.test(match.trim()));
+}
+
+// ============================================
+// Helper Functions: Product Catalog
+// ============================================
+
+function loadProductCatalogSync() {
+    const catalog = JSON.parse(readFileSync(PRODUCT_CATALOG_PATH, 'utf8'));
+    const errors = validateProductCatalog(catalog);
+    if (errors.length > 0) {
+        throw new Error(`Invalid product catalog at ${PRODUCT_CATALOG_PATH}: ${errors.join('; ')}`);
+    }
+    const compiled = compileProductCatalog(catalog);
+    console.log(`Loaded product catalog version ${compiled.version} (${compiled.modules.length} modules, ${compiled.integrations.length} integrations)`);
+    return compiled;
+}
+
+/**
+ * Check the catalog structure; returns a list of error messages (empty when valid)
+ */
+function validateProductCatalog(catalog) {
+    const errors = [];
+    if (!catalog || typeof catalog !== 'object') return ['Catalog must be a JSON object'];
+
+    const checkEntries = (key, requireCategory) => {
+        if (!Array.isArray(catalog[key])) {
+            errors.push(`"${key}" must be an array`);
+            return;
+        }
+        const names = new Set();
+        catalog[key].forEach((entry, i) => {
+            if (!entry || typeof entry.name !== 'string' || !entry.name.trim()) {
+                errors.push(`${key}[${i}].name is required`);
+                return;
+            }
+            if (names.has(entry.name.toLowerCase())) errors.push(`${key}[${i}]: duplicate name "${entry.name}"`);
+            names.add(entry.name.toLowerCase());
+            ['synonyms', 'sku_codes'].forEach(list => {
+                if (entry[list] !== undefined && (!Array.isArray(entry[list]) || entry[list].some(v => typeof v !== 'string'))) {
+                    errors.push(`${key}[${i}].${list} must be an array of strings`);
+                }
+            });
+            if (requireCategory && !catalog.integration_categories?.[entry.category]) {
+                errors.push(`${key}[${i}] ("${entry.name}"): unknown category "${entry.category}"`);
+            }
+        });
+    };
+
+    if (!catalog.integration_categories || typeof catalog.integration_categories !== 'object' || Array.isArray(catalog.integration_categories)) {
+        errors.push('"integration_categories" must be an object keyed by category');
+    }
+    checkEntries('modules', false);
+    checkEntries('integrations', true);
+    return errors;
+}
+
+/**
+ * Precompile catalog synonyms and SKU codes into word-boundary regexes
+ */
+function compileProductCatalog(catalog) {
+    const compileEntry = (entry) => ({
+        name: entry.name,
+        category: entry.category || null,
+        skuPatterns: (entry.sku_codes || []).map(code => new RegExp(`\\b${escapeRegExp(code)}\\b`, 'i')),
+        synonymPatterns: (entry.synonyms || [entry.name]).map(synonym => ({
+            synonym: synonym.toLowerCase(),
+            pattern: new RegExp(`\\b${escapeRegExp(synonym)}\\b`, 'i')
+        }))
+    });
+
+    return {
+        version: catalog.version || 'unversioned',
+        loaded_at: new Date().toISOString(),
+        raw: catalog,
+        modules: catalog.modules.map(compileEntry),
+        integrations: catalog.integrations.map(compileEntry),
+        categories: catalog.integration_categories
+    };
+}
+
+/**
+ * Find a catalog entry in text - SKU codes first, then synonyms in the order listed
+ */
+function findCatalogMatch(entry, text) {
+    for (const pattern of entry.skuPatterns) {
+        const match = pattern.exec(text);
+        if (match) return { index: match.index, length: match[0].length, viaSku: true, synonym: null };
+    }
+    for (const { synonym, pattern } of entry.synonymPatterns) {
+        const match = pattern.exec(text);
+        if (match) return { index: match.index, length: match[0].length, viaSku: false, synonym };
+    }
+    return null;
+}
+
+/**
+ * Map a free-form module/system name to its catalog name (unknown names are returned unchanged)
+ */
+function canonicalCatalogName(entries, value) {
+    const lower = String(value).trim().toLowerCase();
+    const entry = entries.find(e => e.name.toLowerCase() === lower || e.synonymPatterns.some(p => p.synonym === lower));
+    return entry ? entry.name : String(value).trim();
+}
+
+/**
+ * Resolve an intake integration label ("CRM (SFDC, HubSpot, Zoho)", "Workday") to a catalog category key
+ */
+function resolveIntegrationCategory(label) {
+    const lower = String(label).trim().toLowerCase();
+    for (const [key, category] of Object.entries(productCatalog.categories)) {
+        if (key === lower || (category.label || '').toLowerCase() === lower ||
+            (category.intake_labels || []).some(l => l.toLowerCase() === lower)) {
+            return key;
+        }
+    }
+    const system = productCatalog.integrations.find(entry => findCatalogMatch(entry, label));
+    return system ? system.category : null;
+}
+
+function escapeRegExp(value) {
+    return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============================================
+// Helper Functions: Order Form Parsing
+// ============================================
+
+/**
+ * Extract order form data with the LLM configured for the extraction task (Gemini by default)
+ * The model also quotes the text each value came from; quotes are recorded in `evidence`
+ * Names, emails and phone numbers are redacted from the text first (see createPIIRedactor)
+ * The schema validation report for the response is copied into `report`, the prompt template version into `promptInfo`
+ * and the provider and model that answered into `llmInfo`
+ */
+async function extractOrderFormDataWithGemini(textContent, fileBuffer, fileType, evidence = {}, report = {}, promptInfo = {}, llmInfo = {}) {
+    const redactor = createPIIRedactor();
+    const rendered = buildOrderFormExtractionPrompt(redactor.redactOrderFormText(textContent));
+    const prompt = rendered.text;
+    Object.assign(promptInfo, promptReference(rendered));
+    if (redactor.enabled) {
+        console.log('PII redacted from order form text:', redactor.summary().placeholders);
+    }
+
+    try {
+        const { data, provider, model, fallback, validation } = await generateValidatedJSON('extraction', prompt, 'order-form-extraction');
+        Object.assign(report, validation);
+        Object.assign(llmInfo, { provider, model, fallback });
+        // Placeholders in values and evidence quotes are restored, so quotes still match the original text
+        return normalizeGeminiExtraction(redactor.restore(data), evidence);
+    } catch (error) {
+        console.error('Error in AI extraction:', error);
+        throw error;
+    }
+}
+
+/**
+ * Build the order form extraction prompt (module and system names come from the product catalog)
+ * Returns the rendered template: { id, version, selection, text }
+ */
+function buildOrderFormExtractionPrompt(textContent) {
+    const moduleList = productCatalog.modules
+        .map(m => `${m.name} (also called: ${m.synonymPatterns.map(p => p.synonym).join(', ')})`)
+        .join('; ');
+    const systemList = productCatalog.integrations.map(i => i.name).join(', ');
+
+    return renderPrompt('order-form-extraction', {
+        module_list: moduleList,
+        system_list: systemList,
+        document_text: textContent
+    }, textContent);
+}
+
+/**
+ * Parse and normalize the JSON returned by the Gemini extraction prompt (used offline by eval-extraction.js)
+ * Mistyped values are coerced as in the live path, but schema errors are not re-asked
+ */
+function parseGeminiExtractionResponse(text, evidence) {
+    const { data } = parseLLMJson(text);
+    validateLLMOutput('order-form-extraction', data);
+    return normalizeGeminiExtraction(data, evidence);
+}
+
+/**
+ * Normalize the parsed extraction JSON
+ * Evidence quotes are copied into `evidence`, keyed by field (and by item for list fields)
+ */
+function normalizeGeminiExtraction(extractedData, evidence) {
+    // Validate and normalize the data
+    const data = {
+        organisation_name: extractedData.organisation_name || '',
+        purchased_modules: Array.isArray(extractedData.purchased_modules) ? extractedData.purchased_modules : [],
+        template_count: extractedData.template_count ? parseInt(extractedData.template_count) : null,
+        migration_contract_count: extractedData.migration_contract_count ? parseInt(extractedData.migration_contract_count) : null,
+        integration_systems: Array.isArray(extractedData.integration_systems) ? extractedData.integration_systems : [],
+        contract_start_date: normalizeDate(extractedData.contract_start_date),
+        contract_end_date: normalizeDate(extractedData.contract_end_date),
+        subscription_term_months: normalizeTermMonths(extractedData.subscription_term_months),
+        seat_count: normalizeCount(extractedData.seat_count),
+        arr: normalizeAmount(extractedData.arr),
+        total_contract_value: normalizeAmount(extractedData.total_contract_value),
+        currency: normalizeCurrency(extractedData.currency),
+        billing_frequency: normalizeBillingFrequency(extractedData.billing_frequency),
+        signatories: Array.isArray(extractedData.signatories)
+            ? extractedData.signatories.filter(name => typeof name === 'string' && name.trim()).map(name => name.trim())
+            : [],
+        professional_services_hours: normalizeAmount(extractedData.professional_services_hours)
+    };
+    deriveSubscriptionTerm(data);
+
+    // Snap names to the catalog, keeping evidence keyed by what the model returned
+    const modelEvidence = extractedData.evidence || {};
+    ['purchased_modules', 'integration_systems'].forEach(field => {
+        const entries = field === 'purchased_modules' ? productCatalog.modules : productCatalog.integrations;
+        const canonical = [];
+        data[field].forEach(name => {
+            const canonicalName = canonicalCatalogName(entries, name);
+            if (modelEvidence[field]?.[name] && canonicalName !== name) {
+                modelEvidence[field][canonicalName] = modelEvidence[field][name];
+            }
+            if (!canonical.includes(canonicalName)) canonical.push(canonicalName);
+        });
+        data[field] = canonical;
+    });
+    const toEvidence = (entry) => (entry && typeof entry.quote === 'string' && entry.quote.trim())
+        ? { quote: entry.quote, confidence: parseFloat(entry.confidence) }
+        : null;
+    for (const [field, value] of Object.entries(data)) {
+        if (Array.isArray(value)) {
+            evidence[field] = {};
+            value.forEach(item => {
+                const entry = toEvidence(modelEvidence[field]?.[item]);
+                if (entry) evidence[field][item] = entry;
+            });
+        } else {
+            const entry = toEvidence(modelEvidence[field]);
+            if (entry) evidence[field] = entry;
+        }
+    }
+
+    return data;
+}
+
+/**
+ * Extract order form data with regex pattern matching
+ * Match positions are recorded in `evidence` so each field can be traced back to the text
+ */
+function extractOrderFormData(text, evidence = {}) {
+    const data = {
+        organisation_name: '',
+        purchased_modules: [],
+        template_count: null,
+        migration_contract_count: null,
+        integration_systems: [],
+        contract_start_date: null,
+        contract_end_date: null,
+        subscription_term_months: null,
+        seat_count: null,
+        arr: null,
+        total_contract_value: null,
+        currency: null,
+        billing_frequency: null,
+        signatories: [],
+        professional_services_hours: null
+    };
+
+    // Record where a regex capture group was found
+    const recordMatch = (match, confidence) => ({
+        index: match.index + match[0].indexOf(match[1]),
+        length: match[1].length,
+        confidence
+    });
+    evidence.purchased_modules = {};
+    evidence.integration_systems = {};
+
+    // Extract organization name (look for common patterns)
+    // Labelled "Company:"/"Customer:" lines are more reliable than a generic "Name:"
+    const orgPatterns = [
+        { pattern: /(?:company|organization|organisation|client|customer)[\s:]+([A-Z][A-Za-z\s&]+)/i, confidence: 0.75 },
+        { pattern: /(?:name|entity)[\s:]+([A-Z][A-Za-z\s&]+)/i, confidence: 0.55 }
+    ];
+    
+    for (const { pattern, confidence } of orgPatterns) {
+        const match = text.match(pattern);
+        if (match && match[1]) {
+            data.organisation_name = match[1].trim();
+            evidence.organisation_name = recordMatch(match, confidence);
+            break;
+        }
+    }
+
+    // Extract modules (SKU codes and synonyms from the product catalog)
+    for (const module of productCatalog.modules) {
+        const match = findCatalogMatch(module, text);
+        if (match) {
+            data.purchased_modules.push(module.name);
+            // A SKU code or the module name itself is a stronger signal than a loose synonym like "api"
+            const confidence = match.viaSku ? 0.85 : match.synonym === module.name.toLowerCase() ? 0.7 : 0.5;
+            evidence.purchased_modules[module.name] = { index: match.index, length: match.length, confidence };
+        }
+    }
+
+    // Extract template count
+    const templateMatch = text.match(/(?:template|templates)[\s:]+(?:count|number|quantity|qty)[\s:]*(\d+)/i);
+    if (templateMatch) {
+        data.template_count = parseInt(templateMatch[1]);
+        evidence.template_count = recordMatch(templateMatch, 0.85);
+    } else {
+        // Look for standalone numbers near "template"
+        const templateNumMatch = text.match(/(\d+)[\s]*(?:template|templates)/i);
+        if (templateNumMatch) {
+            data.template_count = parseInt(templateNumMatch[1]);
+            evidence.template_count = recordMatch(templateNumMatch, 0.6);
+        }
+    }
+
+    // Extract migration contract count
+    const migrationMatch = text.match(/(?:migration|migrate|contracts?)[\s:]+(?:count|number|quantity|qty|of)[\s:]*(\d+)/i);
+    if (migrationMatch) {
+        data.migration_contract_count = parseInt(migrationMatch[1]);
+        evidence.migration_contract_count = recordMatch(migrationMatch, 0.85);
+    } else {
+        const contractNumMatch = text.match(/(\d+)[\s]*(?:contracts?|documents?)[\s]*(?:to|for)[\s]*(?:migrate|migration)/i);
+        if (contractNumMatch) {
+            data.migration_contract_count = parseInt(contractNumMatch[1]);
+            evidence.migration_contract_count = recordMatch(contractNumMatch, 0.65);
+        }
+    }
+
+    // Extract integration systems (catalog synonyms, matched as whole words)
+    for (const system of productCatalog.integrations) {
+        const match = findCatalogMatch(system, text);
+        if (match) {
+            data.integration_systems.push(system.name);
+            evidence.integration_systems[system.name] = { index: match.index, length: match.length, confidence: match.viaSku ? 0.85 : 0.75 };
+        }
+    }
+
+    extractCommercialTerms(text, data, evidence, recordMatch);
+
+    return data;
+}
+
+// Date formats seen on order forms: 2024-01-15, 01/15/2024, January 15, 2024, 15th Jan 2024
+const DATE_PATTERN = '(\\d{4}-\\d{1,2}-\\d{1,2}|\\d{1,2}[\\/.-]\\d{1,2}[\\/.-]\\d{2,4}|[A-Za-z]{3,9}\\.?\\s+\\d{1,2}(?:st|nd|rd|th)?,?\\s+\\d{4}|\\d{1,2}(?:st|nd|rd|th)?\\s+[A-Za-z]{3,9}\\.?,?\\s+\\d{4})';
+const MONEY_PATTERN = '((?:[A-Z]{3}|US\\$|[ACS]\\$|Rs\\.?|[$€£₹¥])?\\s?\\d[\\d,]*(?:\\.\\d+)?\\s?(?:k|m|mn|million)?\\b(?:\\s?[A-Z]{3}\\b)?)';
+
+/**
+ * Extract commercial terms (dates, term, seats, fees, billing, signatories, PS hours) with regex patterns
+ */
+function extractCommercialTerms(text, data, evidence, recordMatch) {
+    const firstMatch = (patterns) => {
+        for (const { pattern, confidence } of patterns) {
+            const match = text.match(pattern);
+            if (match && match[1]) return { match, confidence };
+        }
+        return null;
+    };
+
+    // Contract dates
+    const start = firstMatch([
+        { pattern: new RegExp(`(?:contract start date|subscription start date|start date|effective date|commencement date)[\\s:]*${DATE_PATTERN}`, 'i'), confidence: 0.8 }
+    ]);
+    if (start && normalizeDate(start.match[1])) {
+        data.contract_start_date = normalizeDate(start.match[1]);
+        evidence.contract_start_date = recordMatch(start.match, start.confidence);
+    }
+    const end = firstMatch([
+        { pattern: new RegExp(`(?:contract end date|subscription end date|end date|expiration date|expiry date|termination date)[\\s:]*${DATE_PATTERN}`, 'i'), confidence: 0.8 }
+    ]);
+    if (end && normalizeDate(end.match[1])) {
+        data.contract_end_date = normalizeDate(end.match[1]);
+        evidence.contract_end_date = recordMatch(end.match, end.confidence);
+    }
+
+    // Subscription term
+    const term = firstMatch([
+        { pattern: /(?:subscription term|initial term|contract term|term)[\s:]*(\d+\s*(?:months?|mos?|years?|yrs?))/i, confidence: 0.8 },
+        { pattern: /(\d+)[\s-]*(?:months?|years?)\s+(?:subscription|term)/i, confidence: 0.6 }
+    ]);
+    if (term) {
+        data.subscription_term_months = normalizeTermMonths(term.match[0].match(/\d+\s*(?:months?|mos?|years?|yrs?)/i)?.[0] || term.match[1]);
+        evidence.subscription_term_months = recordMatch(term.match, term.confidence);
+    }
+
+    // Seats / users
+    const seats = firstMatch([
+        { pattern: /(?:number of seats|number of users|seat count|user count|seats|users|licenses)[\s:]+(\d[\d,]*)/i, confidence: 0.8 },
+        { pattern: /(\d[\d,]*)\s*(?:named users|user licenses|seats|users|licenses)/i, confidence: 0.65 }
+    ]);
+    if (seats) {
+        data.seat_count = normalizeCount(seats.match[1]);
+        evidence.seat_count = recordMatch(seats.match, seats.confidence);
+    }
+
+    // Fees
+    const arr = firstMatch([
+        { pattern: new RegExp(`(?:annual recurring revenue|annual subscription fees?|annual fees?|\\bARR\\b)[\\s:]*${MONEY_PATTERN}`, 'i'), confidence: 0.8 }
+    ]);
+    if (arr && normalizeAmount(arr.match[1]) !== null) {
+        data.arr = normalizeAmount(arr.match[1]);
+        data.currency = normalizeCurrency(arr.match[1]);
+        evidence.arr = recordMatch(arr.match, arr.confidence);
+    }
+    const tcv = firstMatch([
+        { pattern: new RegExp(`(?:total contract value|\\bTCV\\b|grand total|total fees?|total amount)[\\s:]*${MONEY_PATTERN}`, 'i'), confidence: 0.8 }
+    ]);
+    if (tcv && normalizeAmount(tcv.match[1]) !== null) {
+        data.total_contract_value = normalizeAmount(tcv.match[1]);
+        data.currency = data.currency || normalizeCurrency(tcv.match[1]);
+        evidence.total_contract_value = recordMatch(tcv.match, tcv.confidence);
+    }
+
+    // Currency - fall back to any ISO code mentioned in the document
+    if (!data.currency) {
+        const currencyMatch = text.match(/\b(USD|EUR|GBP|INR|AUD|CAD|SGD|JPY|CHF|AED|NZD)\b/);
+        if (currencyMatch) {
+            data.currency = currencyMatch[1];
+            evidence.currency = recordMatch(currencyMatch, 0.6);
+        }
+    }
+
+    // Billing frequency
+    const billing = firstMatch([
+        { pattern: /(?:billing frequency|billing cycle|billing|invoicing|payment frequency)[\s:]*(?:will be\s+)?(annually|annual|yearly|quarterly|monthly|semi-annually|semi-annual|half-yearly|upfront|one-time)/i, confidence: 0.8 },
+        { pattern: /(?:billed|invoiced|payable)\s+(annually|yearly|quarterly|monthly|semi-annually|half-yearly|upfront)/i, confidence: 0.7 }
+    ]);
+    if (billing) {
+        data.billing_frequency = normalizeBillingFrequency(billing.match[1]);
+        evidence.billing_frequency = recordMatch(billing.match, billing.confidence);
+    }
+
+    // Signatories - names on signature lines ("By: Jane Doe", "Signed by Jane Doe")
+    evidence.signatories = {};
+    const signatoryPattern = /(?:signed by|signatory|signature of|^\s*by|^\s*name)[\s:]+([A-Z][a-z]+(?:[ \t]+[A-Z][a-zA-Z'.-]+){1,3})/gim;
+    for (const match of text.matchAll(signatoryPattern)) {
+        const name = match[1].trim();
+        if (!data.signatories.includes(name)) {
+            data.signatories.push(name);
+            evidence.signatories[name] = recordMatch(match, 0.6);
+        }
+    }
+
+    // Professional services hours
+    const psHours = firstMatch([
+        { pattern: /(?:professional services hours|PS hours|services hours|implementation hours|consulting hours)[\s:]*(\d[\d,]*)/i, confidence: 0.8 },
+        { pattern: /(\d[\d,]*)\s*(?:hours of\s+)?(?:professional services|PS|consulting|implementation)(?:\s+hours)?/i, confidence: 0.6 }
+    ]);
+    if (psHours && /hours/i.test(psHours.match[0])) {
+        data.professional_services_hours = normalizeAmount(psHours.match[1]);
+        evidence.professional_services_hours = recordMatch(psHours.match, psHours.confidence);
+    }
+
+    deriveSubscriptionTerm(data);
+}
+
+// ============================================
+// Helper Functions: Commercial Field Normalization
+// ============================================
+
+const CURRENCY_SYMBOLS = {
+    'US$': 'USD', 'A$': 'AUD', 'C$': 'CAD', 'S$': 'SGD',
+    '$': 'USD', '€': 'EUR', '£': 'GBP', '₹': 'INR', '¥': 'JPY'
+};
+// Currency names, checked before the symbols (most specific first). "Rs" only counts as a whole token,
+// so words that merely contain the letters ("US Dollars", "Years") do not become INR
+const CURRENCY_WORDS = [
+    [/\bAUSTRALIAN DOLLARS?\b/, 'AUD'], [/\bCANADIAN DOLLARS?\b/, 'CAD'], [/\bSINGAPORE DOLLARS?\b/, 'SGD'],
+    [/\bDOLLARS?\b/, 'USD'], [/\bEUROS?\b/, 'EUR'], [/\b(?:POUNDS?|STERLING)\b/, 'GBP'],
+    [/\bRUPEES?\b/, 'INR'], [/\bRS\.?(?=\s|\d|$)/, 'INR'], [/\bYEN\b/, 'JPY']
+];
+const ISO_CURRENCY_CODES = [
+    'USD', 'EUR', 'GBP', 'INR', 'AUD', 'CAD', 'SGD', 'JPY', 'CHF', 'AED',
+    'NZD', 'SEK', 'NOK', 'DKK', 'HKD', 'ZAR', 'BRL', 'MXN', 'CNY', 'SAR'
+];
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Normalize a date string to ISO YYYY-MM-DD (numeric dates are read as US month/day unless the first part is > 12)
+ */
+function normalizeDate(value) {
+    if (!value) return null;
+    const str = String(value).trim();
+    let year;
+    let month;
+    let day;
+    let match;
+
+    if ((match = str.match(/(\d{4})-(\d{1,2})-(\d{1,2})/))) {
+        [year, month, day] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = str.match(/(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})/))) {
+        const first = Number(match[1]);
+        const second = Number(match[2]);
+        [month, day] = first > 12 ? [second, first] : [first, second];
+        year = Number(match[3]);
+    } else if ((match = str.match(/([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})/))) {
+        month = MONTH_NAMES.indexOf(match[1].slice(0, 3).toLowerCase()) + 1;
+        day = Number(match[2]);
+        year = Number(match[3]);
+    } else if ((match = str.match(/(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})/))) {
+        day = Number(match[1]);
+        month = MONTH_NAMES.indexOf(match[2].slice(0, 3).toLowerCase()) + 1;
+        year = Number(match[3]);
+    } else {
+        return null;
+    }
+
+    if (year < 100) year += 2000;
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (month < 1 || month > 12 || date.getUTCDate() !== day) return null;
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Parse a money/number string ("$120,000", "USD 1.2M", "45k") into a number
+ */
+function normalizeAmount(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const str = String(value).toLowerCase();
+    const match = str.replace(/,/g, '').match(/(\d+(?:\.\d+)?)\s*(k|mn|m|million)?\b/);
+    if (!match) return null;
+    const multiplier = match[2] === 'k' ? 1000 : match[2] ? 1000000 : 1;
+    return Math.round(parseFloat(match[1]) * multiplier * 100) / 100;
+}
+
+function normalizeCount(value) {
+    const amount = normalizeAmount(value);
+    return amount === null ? null : Math.round(amount);
+}
+
+/**
+ * Map a currency code or symbol to its ISO 4217 code
+ */
+function normalizeCurrency(value) {
+    if (!value) return null;
+    const str = String(value).trim().toUpperCase();
+    const code = str.match(/\b([A-Z]{3})\b/);
+    if (code && ISO_CURRENCY_CODES.includes(code[1])) return code[1];
+    const word = CURRENCY_WORDS.find(([pattern]) => pattern.test(str));
+    if (word) return word[1];
+    for (const [symbol, iso] of Object.entries(CURRENCY_SYMBOLS)) {
+        if (str.includes(symbol)) return iso;
+    }
+    return null;
+}
+
+function normalizeBillingFrequency(value) {
+    if (!value) return null;
+    const str = String(value).toLowerCase();
+    if (str.includes('semi') || str.includes('half')) return 'semi_annual';
+    if (str.includes('month')) return 'monthly';
+    if (str.includes('quarter')) return 'quarterly';
+    if (str.includes('annual') || str.includes('year')) return 'annual';
+    if (str.includes('upfront') || str.includes('one')) return 'one_time';
+    return null;
+}
+
+/**
+ * Normalize a subscription term ("3 years", "24 months", 12) to months
+ */
+function normalizeTermMonths(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'number') return Math.round(value);
+    const match = String(value).match(/(\d+(?:\.\d+)?)\s*(years?|yrs?|months?|mos?)?/i);
+    if (!match) return null;
+    const amount = parseFloat(match[1]);
+    return /^y/i.test(match[2] || '') ? Math.round(amount * 12) : Math.round(amount);
+}
+
+/**
+ * Fill in subscription_term_months from the contract dates when the term isn't stated
+ */
+function deriveSubscriptionTerm(data) {
+    if (data.subscription_term_months || !data.contract_start_date || !data.contract_end_date) return;
+    const start = new Date(data.contract_start_date);
+    const end = new Date(data.contract_end_date);
+    // End dates are usually inclusive (e.g. 2024-01-01 to 2024-12-31 is 12 months)
+    end.setUTCDate(end.getUTCDate() + 1);
+    const months = (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + (end.getUTCMonth() - start.getUTCMonth());
+    if (months > 0) data.subscription_term_months = months;
+}
+
+/**
+ * Detect document format from its magic bytes (file signature)
+ * Returns 'pdf', 'docx', 'doc', 'rtf', 'png', 'jpeg', 'tiff' or null if unrecognized
+ */
+function detectDocumentFormat(buffer) {
+    if (!buffer || buffer.length < 4) return null;
+
+    const startsWith = (bytes) => bytes.every((byte, i) => buffer[i] === byte);
+
+    if (startsWith([0x25, 0x50, 0x44, 0x46])) return 'pdf'; // %PDF
+    if (startsWith([0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) return 'doc'; // OLE2 compound file (Word 97-2003)
+    if (startsWith([0x7B, 0x5C, 0x72, 0x74, 0x66])) return 'rtf'; // {\rtf
+    if (startsWith([0x89, 0x50, 0x4E, 0x47])) return 'png';
+    if (startsWith([0xFF, 0xD8, 0xFF])) return 'jpeg';
+    if (startsWith([0x49, 0x49, 0x2A, 0x00]) || startsWith([0x4D, 0x4D, 0x00, 0x2A])) return 'tiff';
+    if (startsWith([0x50, 0x4B, 0x03, 0x04])) {
+        // ZIP container - only a DOCX if it carries a Word document part
+        return buffer.includes('word/') ? 'docx' : null;
+    }
+
+    return null;
+}
+
+/**
+ * Extract plain text from a document buffer based on its detected format
+ * Falls back to OCR when a PDF or image has no usable text layer
+ */
+async function extractDocumentText(fileBuffer, format) {
+    let text = '';
+    let ocr = null;
+    let pageOffsets = null; // Character offset where each page starts (paginated formats only)
+    let tableRows = null; // Rows of { text, x } cells used for line item parsing
+    let pdfPageCount = 0;
+
+    switch (format) {
+        case 'pdf': {
+            console.log('Parsing PDF file...');
+            const pageTexts = [];
+            const pageRows = [];
+            // pdf-parse's bundled pdf.js ignores Buffer.byteOffset, so small (pooled) buffers must be copied
+            const pdfData = await pdfParse(new Uint8Array(fileBuffer), {
+                pagerender: pageData => readPdfPage(pageData).then(page => {
+                    pageTexts[pageData.pageIndex] = page.text;
+                    pageRows[pageData.pageIndex] = page.rows;
+                    return page.text;
+                })
+            });
+            text = pdfData.text;
+            pdfPageCount = pdfData.numpages;
+            tableRows = pageRows.flatMap(rows => [...(rows || []), []]);
+            // pdf-parse prefixes every page with a blank line
+            pageOffsets = [];
+            let offset = 0;
+            for (let i = 0; i < pdfData.numrender; i++) {
+                offset += 2;
+                pageOffsets.push(offset);
+                offset += (pageTexts[i] || '').length;
+            }
+            break;
+        }
+        case 'docx': {
+            console.log('Parsing DOCX file...');
+            const result = await mammoth.extractRawText({ buffer: fileBuffer });
+            text = result.value;
+            const html = await mammoth.convertToHtml({ buffer: fileBuffer });
+            tableRows = extractHtmlTableRows(html.value);
+            break;
+        }
+        case 'doc': {
+            console.log('Parsing legacy DOC file...');
+            const extractor = new WordExtractor();
+            const doc = await extractor.extract(fileBuffer);
+            text = [doc.getBody(), doc.getTextboxes({ includeHeadersAndFooters: false })]
+                .filter(Boolean)
+                .join('\n');
+            break;
+        }
+        case 'rtf': {
+            console.log('Parsing RTF file...');
+            text = extractTextFromRTF(fileBuffer.toString('latin1'));
+            break;
+        }
+        default:
+            // Images have no text layer - go straight to OCR
+            console.log('Image upload detected, running OCR...');
+    }
+    console.log(`Extracted ${text.length} characters from ${format.toUpperCase()}`);
+
+    // Scanned PDFs and images: recover the text with OCR
+    const isPdf = format === 'pdf';
+    const isImage = ['png', 'jpeg', 'tiff'].includes(format);
+    if ((!text || text.trim().length === 0) && (isPdf || isImage)) {
+        console.log('No text layer found, falling back to OCR...');
+        ocr = await extractTextWithOCR(fileBuffer, isPdf, pdfPageCount);
+        text = ocr.text;
+        pageOffsets = ocr.page_offsets;
+        console.log(`OCR recovered ${text.length} characters from ${ocr.pages} page(s)`);
+    }
+
+    // DOC, RTF and OCR output keep table cells on one line, separated by tabs or runs of spaces
+    if (!tableRows) {
+        tableRows = splitTextIntoRows(text);
+    }
+
+    return { text, ocr, pageOffsets, tableRows };
+}
+
+/**
+ * Read a PDF page's text layer (same line-joining as pdf-parse's default renderer)
+ * Also groups the positioned text items into rows of cells for table parsing
+ */
+function readPdfPage(pageData) {
+    return pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false })
+        .then(textContent => {
+            let lastY;
+            let text = '';
+            for (const item of textContent.items) {
+                if (lastY == item.transform[5] || !lastY) {
+                    text += item.str;
+                } else {
+                    text += '\n' + item.str;
+                }
+                lastY = item.transform[5];
+            }
+            return { text, rows: groupPdfItemsIntoRows(textContent.items) };
+        });
+}
+
+/**
+ * Group positioned PDF text items into rows (same baseline) and cells (separated by a horizontal gap)
+ */
+function groupPdfItemsIntoRows(items) {
+    const ROW_TOLERANCE = 2; // Points of vertical drift allowed within one row
+    const CELL_GAP = 12; // Horizontal gap (points) that starts a new cell
+
+    const positioned = items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({ text: item.str, x: item.transform[4], y: item.transform[5], width: item.width || 0 }))
+        .sort((a, b) => (b.y - a.y) || (a.x - b.x)); // PDF y grows upwards
+
+    const rows = [];
+    for (const item of positioned) {
+        const row = rows[rows.length - 1];
+        if (row && Math.abs(row.y - item.y) <= ROW_TOLERANCE) {
+            row.items.push(item);
+        } else {
+            rows.push({ y: item.y, items: [item] });
+        }
+    }
+
+    return rows.map(row => {
+        const cells = [];
+        row.items.sort((a, b) => a.x - b.x).forEach(item => {
+            const cell = cells[cells.length - 1];
+            if (cell && item.x - cell.end < CELL_GAP) {
+                cell.text += (item.x - cell.end > 1 ? ' ' : '') + item.text;
+                cell.end = item.x + item.width;
+            } else {
+                cells.push({ text: item.text, x: item.x, end: item.x + item.width });
+            }
+        });
+        return cells.map(cell => ({ text: cell.text.trim(), x: cell.x }));
+    });
+}
+
+/**
+ * Pull table rows out of mammoth's HTML output (cells are positioned by column index)
+ */
+function extractHtmlTableRows(html) {
+    const decode = (value) => value
+        .replace(/<[^>]+>/g, ' ')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    const rows = [];
+    for (const table of html.match(/<table[\s\S]*?<\/table>/gi) || []) {
+        for (const row of table.match(/<tr[\s\S]*?<\/tr>/gi) || []) {
+            const cells = (row.match(/<t[dh][^>]*>[\s\S]*?<\/t[dh]>/gi) || [])
+                .map((cell, index) => ({ text: decode(cell), x: index }));
+            rows.push(cells);
+        }
+        rows.push([]); // Table boundary
+    }
+    return rows;
+}
+
+/**
+ * Split plain text into rows of cells on tabs (or runs of 2+ spaces when a line has no tabs)
+ */
+function splitTextIntoRows(text) {
+    return (text || '').split('\n').map(line => {
+        const parts = line.includes('\t') ? line.split('\t') : line.trim().split(/\s{2,}/);
+        return parts.map((part, index) => ({ text: part.trim(), x: index })).filter(cell => cell.text || line.includes('\t'));
+    });
+}
+
+// Header cell patterns for line item tables - checked in order, so "item code" is a SKU column, not a description
+const LINE_ITEM_COLUMNS = [
+    { role: 'sku', pattern: /^(sku|item code|product code|part (no\.?|number|#)|code)\b/ },
+    { role: 'quantity', pattern: /^(qty|quantity|units|no\.? of units|volume|seats|users)\b/ },
+    { role: 'unit_price', pattern: /(unit price|unit cost|price per|list price|sales price|rate|^price)/ },
+    { role: 'total', pattern: /(total|amount|extended|net price|subtotal|fees?$)/ },
+    { role: 'description', pattern: /(description|product|item|service|module|offering|name)/ }
+];
+
+/**
+ * Find pricing tables in document rows and turn them into structured line items
+ * A table starts at a header row with a description/SKU column and at least one quantity or price column
+ */
+function parseLineItems(tableRows) {
+    const lineItems = [];
+    let columns = null;
+    let misses = 0;
+
+    for (const row of tableRows || []) {
+        if (!row || row.length === 0) {
+            columns = null; // Table or page boundary
+            continue;
+        }
+
+        const header = matchLineItemHeader(row);
+        if (header) {
+            columns = header;
+            misses = 0;
+            continue;
+        }
+        if (!columns) continue;
+
+        // Totals rows end the table
+        const firstText = (row.find(cell => cell.text) || { text: '' }).text;
+        if (/^(sub\s?-?total|grand total|total|tax|discount)\b/i.test(firstText)) {
+            columns = null;
+            continue;
+        }
+
+        const item = { sku: null, description: null, quantity: null, unit_price: null, total: null };
+        row.forEach(cell => {
+            const role = columnForCell(columns, cell.x);
+            if (!role || !cell.text) return;
+            if (role === 'sku' || role === 'description') {
+                item[role] = item[role] ? `${item[role]} ${cell.text}` : cell.text;
+            } else if (item[role] === null) {
+                item[role] = normalizeAmount(cell.text);
+            }
+        });
+
+        const hasNumbers = item.quantity !== null || item.unit_price !== null || item.total !== null;
+        if ((item.description || item.sku) && hasNumbers) {
+            if (item.total === null && item.quantity !== null && item.unit_price !== null) {
+                item.total = Math.round(item.quantity * item.unit_price * 100) / 100;
+            }
+            lineItems.push(item);
+            misses = 0;
+        } else if (++misses >= 2) {
+            columns = null; // Two non-item rows in a row - we've left the table
+        }
+    }
+
+    return lineItems;
+}
+
+function matchLineItemHeader(row) {
+    const columns = [];
+    row.forEach(cell => {
+        const label = cell.text.toLowerCase();
+        const column = LINE_ITEM_COLUMNS.find(c => c.pattern.test(label) && !columns.some(existing => existing.role === c.role));
+        if (column) columns.push({ role: column.role, x: cell.x });
+    });
+
+    const roles = columns.map(c => c.role);
+    const hasLabel = roles.includes('description') || roles.includes('sku');
+    const hasValue = roles.includes('quantity') || roles.includes('unit_price') || roles.includes('total');
+    return hasLabel && hasValue && columns.length >= 2 ? columns.sort((a, b) => a.x - b.x) : null;
+}
+
+function columnForCell(columns, x) {
+    // Nearest header column - handles right-aligned numbers in PDFs as well as exact column indexes
+    let nearest = columns[0];
+    for (const column of columns) {
+        if (Math.abs(column.x - x) < Math.abs(nearest.x - x)) nearest = column;
+    }
+    return nearest.role;
+}
+
+/**
+ * Derive purchased modules, template/migration counts and integrations from line items
+ * Line items are authoritative - they replace values found by keyword matching
+ */
+function applyLineItems(data, lineItems, evidence) {
+    data.line_items = lineItems;
+    evidence.line_items = {};
+    if (lineItems.length === 0) return;
+
+    const modules = [];
+    const moduleEvidence = {};
+    let templateCount = null;
+    let migrationCount = null;
+
+    lineItems.forEach(item => {
+        const label = `${item.sku || ''} ${item.description || ''}`;
+        const quote = item.description || item.sku;
+        evidence.line_items[quote] = { quote, confidence: 0.8, method: 'line_item' };
+
+        // An item belongs to one module, so its quantity is never counted as both templates and contracts
+        const module = lineItemModule(label);
+        if (module) {
+            if (!modules.includes(module)) {
+                modules.push(module);
+                moduleEvidence[module] = { quote, confidence: 0.85, method: 'line_item' };
+            }
+            if (module === 'Template Setup' && item.quantity !== null) {
+                templateCount = (templateCount || 0) + item.quantity;
+                evidence.template_count = { quote, confidence: 0.85, method: 'line_item' };
+            }
+            if (module === 'Migration' && item.quantity !== null) {
+                migrationCount = (migrationCount || 0) + item.quantity;
+                evidence.migration_contract_count = { quote, confidence: 0.85, method: 'line_item' };
+            }
+        }
+
+        productCatalog.integrations.forEach(system => {
+            if (findCatalogMatch(system, label) && !data.integration_systems.includes(system.name)) {
+                data.integration_systems.push(system.name);
+                evidence.integration_systems = evidence.integration_systems || {};
+                evidence.integration_systems[system.name] = { quote, confidence: 0.85, method: 'line_item' };
+            }
+        });
+    });
+
+    if (modules.length > 0) {
+        data.purchased_modules = modules;
+        evidence.purchased_modules = moduleEvidence;
+    }
+    if (templateCount !== null) data.template_count = templateCount;
+    if (migrationCount !== null) data.migration_contract_count = migrationCount;
+}
+
+/**
+ * The catalog module a line item's SKU and description name, or null
+ * A SKU match wins, then the longest synonym ("Contract Migration of Templates" is Migration),
+ * then catalog order
+ */
+function lineItemModule(label) {
+    let best = null;
+    productCatalog.modules.forEach(catalogModule => {
+        const match = findCatalogMatch(catalogModule, label);
+        if (!match) return;
+        if (!best || (match.viaSku && !best.match.viaSku) || (match.viaSku === best.match.viaSku && match.length > best.match.length)) {
+            best = { name: catalogModule.name, match };
+        }
+    });
+    return best ? best.name : null;
+}
+
+/**
+ * Convert RTF markup to plain text
+ * Handles groups, escaped characters (\'hh, \uN) and skips non-text destinations (fonts, colors, pictures)
+ */
+function extractTextFromRTF(rtf) {
+    const skippedDestinations = new Set([
+        'fonttbl', 'colortbl', 'stylesheet', 'info', 'pict', 'object', 'themedata',
+        'colorschememapping', 'datastore', 'latentstyles', 'listtable', 'listoverridetable',
+        'rsidtbl', 'generator', 'xmlnstbl', 'header', 'headerl', 'headerr', 'footer', 'footerl', 'footerr'
+    ]);
+    const stack = [];
+    let skipping = false;
+    let unicodeFallbackLength = 1;
+    let output = '';
+    let i = 0;
+
+    // After a \uN escape, skip the N fallback characters that follow it
+    const skipFallback = (pos, count) => {
+        for (let n = 0; n < count && pos < rtf.length; n++) {
+            pos += rtf[pos] === '\\' && rtf[pos + 1] === "'" ? 4 : 1;
+        }
+        return pos;
+    };
+
+    while (i < rtf.length) {
+        const ch = rtf[i];
+
+        if (ch === '{') {
+            stack.push({ skipping, unicodeFallbackLength });
+            i++;
+            continue;
+        }
+        if (ch === '}') {
+            const state = stack.pop();
+            if (state) {
+                skipping = state.skipping;
+                unicodeFallbackLength = state.unicodeFallbackLength;
+            }
+            i++;
+            continue;
+        }
+        if (ch === '\r' || ch === '\n') {
+            i++;
+            continue;
+        }
+        if (ch !== '\\') {
+            if (!skipping) output += ch;
+            i++;
+            continue;
+        }
+
+        // Control symbols
+        const next = rtf[i + 1];
+        if (next === '\\' || next === '{' || next === '}') {
+            if (!skipping) output += next;
+            i += 2;
+            continue;
+        }
+        if (next === '*') {
+            skipping = true; // Ignorable destination
+            i += 2;
+            continue;
+        }
+        if (next === "'") {
+            if (!skipping) output += String.fromCharCode(parseInt(rtf.substr(i + 2, 2), 16));
+            i += 4;
+            continue;
+        }
+        if (next === '~') {
+            if (!skipping) output += ' ';
+            i += 2;
+            continue;
+        }
+        if (next === '\n' || next === '\r') {
+            if (!skipping) output += '\n';
+            i += 2;
+            continue;
+        }
+
+        // Control words: \word[-N][ ]
+        const match = /^([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.slice(i + 1, i + 40));
+        if (!match) {
+            i += 2;
+            continue;
+        }
+        i += 1 + match[0].length;
+        const word = match[1];
+        const param = match[2] !== undefined ? parseInt(match[2]) : null;
+
+        if (skippedDestinations.has(word)) {
+            skipping = true;
+            continue;
+        }
+        if (word === 'uc' && param !== null) {
+            unicodeFallbackLength = param;
+            continue;
+        }
+        if (skipping) continue;
+
+        switch (word) {
+            case 'par':
+            case 'line':
+            case 'row':
+            case 'sect':
+            case 'page':
+                output += '\n';
+                break;
+            case 'tab':
+            case 'cell':
+                output += '\t';
+                break;
+            case 'u':
+                output += String.fromCharCode(param < 0 ? param + 65536 : param);
+                i = skipFallback(i, unicodeFallbackLength);
+                break;
+            default:
+                break;
+        }
+    }
+
+    return output.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * Recover text from scanned PDFs and images using Tesseract OCR
+ * PDF pages are rasterized to PNG first (at most OCR_MAX_PAGES of pdfPageCount); images are recognized directly
+ */
+async function extractTextWithOCR(fileBuffer, isPdf, pdfPageCount = 0) {
+    let images;
+    let skippedPages = 0;
+    if (isPdf) {
+        const pagesToProcess = Array.from({ length: pdfPageCount > 0 ? Math.min(pdfPageCount, OCR_MAX_PAGES) : OCR_MAX_PAGES }, (_, i) => i + 1);
+        skippedPages = Math.max(0, pdfPageCount - OCR_MAX_PAGES);
+        const pages = await pdfToPng(new Uint8Array(fileBuffer), {
+            viewportScale: 2.0, // Higher resolution improves OCR accuracy
+            pagesToProcess
+        });
+        images = pages.map(page => page.content);
+    } else {
+        images = [fileBuffer];
+        // tesseract.js only reads the first frame of a multi-page TIFF - the rest are reported as skipped
+        if (detectDocumentFormat(fileBuffer) === 'tiff') skippedPages = countTiffPages(fileBuffer) - 1;
+    }
+
+    const worker = await createWorker(OCR_LANGUAGE, 1, ocrWorkerOptions);
+    const texts = [];
+    const confidences = [];
+    try {
+        for (const image of images) {
+            const { data } = await worker.recognize(image);
+            texts.push(data.text || '');
+            confidences.push(data.confidence || 0);
+        }
+    } finally {
+        await worker.terminate();
+    }
+
+    const meanConfidence = confidences.length > 0
+        ? confidences.reduce((sum, c) => sum + c, 0) / confidences.length
+        : 0;
+
+    const pageOffsets = [];
+    let offset = 0;
+    texts.forEach(pageText => {
+        pageOffsets.push(offset);
+        offset += pageText.length + 2; // Pages are joined with a blank line
+    });
+
+    return {
+        text: texts.join('\n\n'),
+        confidence: Math.round(meanConfidence) / 100, // Tesseract reports 0-100
+        pages: images.length,
+        skipped_pages: skippedPages,
+        page_offsets: pageOffsets
+    };
+}
+
+/**
+ * Where Tesseract loads its language data from: OCR_LANG_PATH, else the installed
+ * @tesseract.js-data/<lang> package (LSTM "best_int" data, the same files tesseract.js would download)
+ * Without either, tesseract.js downloads the data from its CDN on first use
+ */
+function resolveOCRWorkerOptions() {
+    if (OCR_LANG_PATH) {
+        return { langPath: OCR_LANG_PATH, cachePath: OCR_LANG_PATH, gzip: false };
+    }
+    try {
+        const packageDir = path.dirname(require.resolve(`@tesseract.js-data/${OCR_LANGUAGE}/package.json`));
+        return { langPath: path.join(packageDir, '4.0.0_best_int'), gzip: true, cacheMethod: 'none' };
+    } catch (error) {
+        console.warn(`⚠️  @tesseract.js-data/${OCR_LANGUAGE} is not installed and OCR_LANG_PATH is not set - OCR will download ${OCR_LANGUAGE}.traineddata on first use`);
+        return {};
+    }
+}
+
+/**
+ * Number of images (IFDs) in a TIFF file
+ */
+function countTiffPages(buffer) {
+    const littleEndian = buffer.readUInt16BE(0) === 0x4949;
+    const read16 = offset => (littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+    const read32 = offset => (littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+    const seen = new Set();
+    let offset = read32(4);
+    let pages = 0;
+    // Each IFD is a 2-byte entry count, 12-byte entries, then the offset of the next IFD (0 ends the chain)
+    while (offset > 0 && offset + 2 <= buffer.length && !seen.has(offset)) {
+        seen.add(offset);
+        pages++;
+        const next = offset + 2 + read16(offset) * 12;
+        if (next + 4 > buffer.length) break;
+        offset = read32(next);
+    }
+    return Math.max(pages, 1);
+}
+
+function adjustConfidenceForOCR(confidence, ocrConfidence) {
+    const adjusted = confidence * ocrConfidence;
+    return Math.round(Math.min(0.85, Math.max(0.3, adjusted)) * 100) / 100;
+}
+
+// Fields below this confidence are flagged for the IM to double-check
+const FIELD_CONFIDENCE_THRESHOLD = 0.6;
+const SNIPPET_CONTEXT_CHARS = 60;
+
+const ORDER_FORM_FIELD_LABELS = {
+    organisation_name: 'Organization name',
+    purchased_modules: 'Purchased module',
+    template_count: 'Template count',
+    migration_contract_count: 'Migration contract count',
+    integration_systems: 'Integration system',
+    contract_start_date: 'Contract start date',
+    contract_end_date: 'Contract end date',
+    subscription_term_months: 'Subscription term',
+    seat_count: 'Seat count',
+    arr: 'ARR',
+    total_contract_value: 'Total contract value',
+    currency: 'Currency',
+    billing_frequency: 'Billing frequency',
+    signatories: 'Signatory',
+    professional_services_hours: 'Professional services hours',
+    line_items: 'Line item'
+};
+
+/**
+ * Build per-field provenance for extracted order form data
+ * Each field (and each item of list fields) gets a confidence, the source snippet and its offsets
+ */
+function buildFieldProvenance(extractedData, textContent, evidence = {}, pageOffsets = null) {
+    const provenance = {};
+
+    for (const [field, value] of Object.entries(extractedData)) {
+        if (Array.isArray(value)) {
+            const items = value.map(item => {
+                // Line items are objects - locate them by their description
+                const key = typeof item === 'object' && item !== null ? (item.description || item.sku || '') : String(item);
+                return {
+                    value: key,
+                    ...locateFieldEvidence(key, textContent, evidence[field]?.[key], pageOffsets)
+                };
+            });
+            provenance[field] = {
+                confidence: items.length > 0 ? Math.min(...items.map(item => item.confidence)) : 0,
+                items
+            };
+        } else if (value === null || value === undefined || value === '') {
+            provenance[field] = {
+                confidence: 0,
+                source_snippet: null,
+                snippet_highlight: null,
+                char_start: null,
+                char_end: null,
+                page: null,
+                method: 'not_found'
+            };
+        } else {
+            provenance[field] = locateFieldEvidence(String(value), textContent, evidence[field], pageOffsets);
+        }
+    }
+
+    return provenance;
+}
+
+/**
+ * Resolve one value's evidence to a position in the document text
+ * Pattern matches carry exact offsets; AI quotes are verified by searching the text for them
+ */
+function locateFieldEvidence(value, textContent, fieldEvidence, pageOffsets) {
+    let location = null;
+    let confidence;
+    let method;
+
+    if (fieldEvidence && typeof fieldEvidence.index === 'number') {
+        location = { start: fieldEvidence.index, end: fieldEvidence.index + fieldEvidence.length };
+        confidence = fieldEvidence.confidence;
+        method = 'pattern';
+    } else if (fieldEvidence && fieldEvidence.quote) {
+        const modelConfidence = isNaN(fieldEvidence.confidence) ? 0.8 : Math.min(0.95, Math.max(0, fieldEvidence.confidence));
+        const source = fieldEvidence.method || 'ai';
+        location = findTextLocation(textContent, fieldEvidence.quote);
+        // A quote that isn't in the document may be hallucinated
+        confidence = location ? modelConfidence : modelConfidence * 0.5;
+        method = location ? source : `${source}_unverified`;
+    } else {
+        location = findTextLocation(textContent, value);
+        confidence = location ? 0.6 : 0.4;
+        method = location ? 'value_match' : 'unverified';
+    }
+
+    if (!location) {
+        return {
+            confidence: Math.round(confidence * 100) / 100,
+            source_snippet: null,
+            snippet_highlight: null,
+            char_start: null,
+            char_end: null,
+            page: null,
+            method
+        };
+    }
+
+    const snippetStart = Math.max(0, location.start - SNIPPET_CONTEXT_CHARS);
+    const snippetEnd = Math.min(textContent.length, location.end + SNIPPET_CONTEXT_CHARS);
+
+    return {
+        confidence: Math.round(confidence * 100) / 100,
+        source_snippet: textContent.slice(snippetStart, snippetEnd),
+        // Offsets of the matched text within source_snippet, for highlighting in the UI
+        snippet_highlight: { start: location.start - snippetStart, end: location.end - snippetStart },
+        char_start: location.start,
+        char_end: location.end,
+        page: pageOffsets ? pageForOffset(pageOffsets, location.start) : null,
+        method
+    };
+}
+
+/**
+ * Case-insensitive search that tolerates differences in whitespace/line breaks
+ */
+function findTextLocation(textContent, needle) {
+    const trimmed = (needle || '').trim().slice(0, 300);
+    if (!trimmed) return null;
+
+    const pattern = trimmed
+        .split(/\s+/)
+        .map(escapeRegExp)
+        .join('\\s+');
+    const match = new RegExp(pattern, 'i').exec(textContent);
+    return match ? { start: match.index, end: match.index + match[0].length } : null;
+}
+
+function pageForOffset(pageOffsets, offset) {
+    let page = 1;
+    for (let i = 0; i < pageOffsets.length; i++) {
+        if (pageOffsets[i] <= offset) page = i + 1;
+    }
+    return page;
+}
+
+/**
+ * Overall confidence as the mean confidence of the fields that were found
+ */
+function summarizeFieldConfidence(fieldProvenance) {
+    const found = Object.values(fieldProvenance).filter(entry => entry.items ? entry.items.length > 0 : entry.method !== 'not_found');
+    if (found.length === 0) return 0.5;
+    const mean = found.reduce((sum, entry) => sum + entry.confidence, 0) / found.length;
+    return Math.round(mean * 100) / 100;
+}
+
+function calculateConfidence(extractedData, textContent) {
+    let confidence = 0.5; // Base confidence
+
+    // Increase confidence based on extracted data
+    if (extractedData.organisation_name) confidence += 0.1;
+    if (extractedData.purchased_modules.length > 0) confidence += 0.15;
+    if (extractedData.template_count) confidence += 0.1;
+    if (extractedData.migration_contract_count) confidence += 0.1;
+    if (extractedData.integration_systems.length > 0) confidence += 0.05;
+
+    // Adjust based on text length (more content = potentially more reliable)
+    if (textContent.length > 1000) confidence += 0.05;
+    if (textContent.length < 200) confidence -= 0.1;
+
+    return Math.min(0.98, Math.max(0.3, confidence));
+}
+
+function generateFlags(extractedData, confidence, meta = {}) {
+    const flags = [];
+
+    // Flag individual fields the IM should double-check
+    for (const [field, entry] of Object.entries(meta.fieldProvenance || {})) {
+        const label = ORDER_FORM_FIELD_LABELS[field] || field;
+        const lowItems = entry.items
+            ? entry.items.filter(item => item.confidence < FIELD_CONFIDENCE_THRESHOLD)
+            : (entry.method !== 'not_found' && entry.confidence < FIELD_CONFIDENCE_THRESHOLD ? [entry] : []);
+        lowItems.forEach(item => {
+            flags.push({
+                type: 'warning',
+                field: field,
+                message: entry.items
+                    ? `${label} "${item.value}" detected with low confidence (${Math.round(item.confidence * 100)}%). Please verify.`
+                    : `${label} extracted with low confidence (${Math.round(item.confidence * 100)}%). Please verify.`
+            });
+        });
+    }
+
+    if (meta.ocrUsed) {
+        flags.push({
+            type: 'info',
+            message: 'Document appears to be scanned. Text was recovered with OCR - please double-check names and numbers.'
+        });
+    }
+
+    if (meta.ocrSkippedPages > 0) {
+        flags.push({
+            type: 'warning',
+            message: `Only part of this scanned document was read with OCR (${meta.ocrSkippedPages} more page(s) not read). Please check the remaining pages manually.`
+        });
+    }
+
+    if (confidence < 0.7) {
+        flags.push({
+            type: 'warning',
+            message: 'Low confidence in extracted data. Please verify the information below.'
+        });
+    }
+
+    if (!extractedData.organisation_name) {
+        flags.push({
+            type: 'info',
+            message: 'Organization name not found. Please enter manually.'
+        });
+    }
+
+    if (extractedData.purchased_modules.length === 0) {
+        flags.push({
+            type: 'warning',
+            message: 'No modules detected. Please select modules manually.'
+        });
+    }
+
+    if (extractedData.contract_start_date && extractedData.contract_end_date &&
+        extractedData.contract_end_date <= extractedData.contract_start_date) {
+        flags.push({
+            type: 'warning',
+            field: 'contract_end_date',
+            message: 'Contract end date is not after the start date. Please check the contract dates.'
+        });
+    }
+
+    if ((extractedData.arr !== null || extractedData.total_contract_value !== null) && !extractedData.currency) {
+        flags.push({
+            type: 'info',
+            field: 'currency',
+            message: 'Contract value found but currency not stated. Please confirm the currency.'
+        });
+    }
+
+    if (extractedData.template_count === null && extractedData.purchased_modules.includes('Template Setup')) {
+        flags.push({
+            type: 'warning',
+            message: 'Template count not explicitly stated, estimated from context'
+        });
+    }
+
+    return flags;
+}
+
+// ============================================
+// Helper Functions: Readiness Scoring
+// ============================================
+// Persona readiness scores are computed here from fixed point rules, so the same intake always
+// gets the same score. The LLM only writes the narrative (red flags, action items, plan, insights).
+// The rules are versioned files in config/scoring/ (<persona>.v<version>.json), published via /admin/scoring.
+//
+// Question rule types:
+// - provided: `points` when the answer is non-empty (text, selection or list)
+// - choice: points by answer, e.g. { Yes: 20, No: 10 }
+// - list: `points` for the first item, `per_additional` for each further item, capped at `max`
+// - all_provided: `points` when every field in `fields` is answered
+// - number_at_least: `points` when the answer is a number >= `min`
+// A `when` condition ({ field, equals } or { field, not_equals }) skips questions that are hidden in the form.
+// Section scores are capped at 100; overall = sum(section score x weight), rounded.
+// Statuses: the first entry whose `min` the overall score reaches gives status_label and status_description.
+
+function loadScoringConfigSync() {
+    const files = readdirSync(SCORING_CONFIG_DIR).filter(file => file.endsWith('.json'));
+    const registry = buildScoringRegistry(files.map(file => ({ file, content: readFileSync(path.join(SCORING_CONFIG_DIR, file), 'utf8') })));
+    if (registry.errors.length > 0) {
+        throw new Error(`Invalid scoring config in ${SCORING_CONFIG_DIR}: ${registry.errors.join('; ')}`);
+    }
+    registry.warnings.forEach(warning => console.warn(`⚠️  Scoring config ${warning}`));
+    console.log(`Loaded scoring config: ${SCORING_PERSONAS.map(p => `${p} v${registry.personas[p].active}`).join(', ')}`);
+    return registry;
+}
+
+/**
+ * Parse and validate <persona>.v<version>.json files; the highest version of each persona is active
+ * Returns { personas: { persona: { active, versions: { version: config } } }, loaded_at, errors, warnings }
+ * Files already on disk may have sections worth more than 100 points (v1 keeps the original prospect
+ * rules, whose assisted_migration section adds up to 120) - they load with a warning and score capped at 100
+ */
+function buildScoringRegistry(files) {
+    const personas = Object.fromEntries(SCORING_PERSONAS.map(persona => [persona, { active: null, versions: {} }]));
+    const errors = [];
+    const warnings = [];
+
+    files.forEach(({ file, content }) => {
+        const match = file.match(/^([a-z_]+)\.v(\d+)\.json$/);
+        if (!match || !Object.hasOwn(personas, match[1])) {
+            errors.push(`${file}: expected <persona>.v<version>.json with persona ${SCORING_PERSONAS.join(', ')}`);
+            return;
+        }
+        let config;
+        try {
+            config = JSON.parse(content);
+        } catch (error) {
+            errors.push(`${file}: ${error.message}`);
+            return;
+        }
+        const [, persona, version] = match;
+        if (config.persona !== persona || config.version !== parseInt(version)) {
+            errors.push(`${file}: persona and version must match the file name`);
+        }
+        validateScoringConfig(config, { enforceSectionMax: false }).forEach(error => errors.push(`${file}: ${error}`));
+        overweightSections(config).forEach(warning => warnings.push(`${file}: ${warning}`));
+        personas[persona].versions[config.version] = config;
+    });
+
+    SCORING_PERSONAS.forEach(persona => {
+        const versions = Object.keys(personas[persona].versions).map(Number);
+        if (versions.length === 0) errors.push(`no scoring config for ${persona}`);
+        else personas[persona].active = Math.max(...versions);
+    });
+    return { personas, loaded_at: new Date().toISOString(), errors, warnings };
+}
+
+/**
+ * Check one persona's scoring config; returns a list of error messages (empty when valid)
+ * Section weights must sum to 1, no section can score more than 100 points, and statuses must
+ * run from the highest threshold down to 0 so every overall score gets a label
+ * enforceSectionMax: false skips the 100-point check (for files already on disk, see buildScoringRegistry)
+ */
+function validateScoringConfig(config, { enforceSectionMax = true } = {}) {
+    const errors = [];
+    if (!config || typeof config !== 'object' || Array.isArray(config)) return ['Scoring config must be a JSON object'];
+    if (!SCORING_PERSONAS.includes(config.persona)) errors.push(`"persona" must be one of ${SCORING_PERSONAS.join(', ')}`);
+    if (!Number.isInteger(config.version) || config.version < 1) errors.push('"version" must be a positive integer');
+
+    if (!Array.isArray(config.sections) || config.sections.length === 0) {
+        errors.push('"sections" must be a non-empty array');
+    } else {
+        const keys = new Set();
+        config.sections.forEach((section, i) => {
+            const where = `sections[${i}]${section?.key ? ` (${section.key})` : ''}`;
+            if (!section || typeof section.key !== 'string' || !section.key.trim()) {
+                errors.push(`sections[${i}].key is required`);
+                return;
+            }
+            if (keys.has(section.key)) errors.push(`${where}: duplicate key`);
+            keys.add(section.key);
+            ['label', 'intake_section'].forEach(field => {
+                if (typeof section[field] !== 'string' || !section[field].trim()) errors.push(`${where}.${field} is required`);
+            });
+            if (typeof section.weight !== 'number' || section.weight <= 0 || section.weight > 1) {
+                errors.push(`${where}.weight must be a number above 0 and at most 1`);
+            }
+            if (!Array.isArray(section.questions) || section.questions.length === 0) {
+                errors.push(`${where}.questions must be a non-empty array`);
+                return;
+            }
+            section.questions.forEach((question, j) => validateScoringQuestion(question).forEach(error => errors.push(`${where}.questions[${j}]: ${error}`)));
+        });
+        if (enforceSectionMax) errors.push(...overweightSections(config));
+        const totalWeight = config.sections.reduce((sum, section) => sum + (typeof section?.weight === 'number' ? section.weight : 0), 0);
+        if (Math.abs(totalWeight - 1) > 0.0001) {
+            errors.push(`section weights add up to ${Math.round(totalWeight * 10000) / 10000} - they must sum to 1`);
+        }
+    }
+
+    if (!Array.isArray(config.statuses) || config.statuses.length === 0) {
+        errors.push('"statuses" must be a non-empty array');
+    } else {
+        config.statuses.forEach((status, i) => {
+            if (!status || typeof status.min !== 'number' || status.min < 0 || status.min > 100) errors.push(`statuses[${i}].min must be a number from 0 to 100`);
+            if (typeof status?.label !== 'string' || !status.label.trim()) errors.push(`statuses[${i}].label is required`);
+            if (typeof status?.description !== 'string') errors.push(`statuses[${i}].description is required`);
+            if (i > 0 && status?.min >= config.statuses[i - 1]?.min) errors.push(`statuses[${i}]: thresholds must be listed from highest to lowest`);
+        });
+        if (config.statuses[config.statuses.length - 1]?.min !== 0) errors.push('the last status must have "min": 0');
+    }
+    return errors;
+}
+
+function validateScoringQuestion(question) {
+    if (!question || !SCORING_QUESTION_TYPES.includes(question.type)) {
+        return [`"type" must be one of ${SCORING_QUESTION_TYPES.join(', ')}`];
+    }
+    const errors = [];
+    const isPoints = value => typeof value === 'number' && value >= 0;
+    if (question.type === 'all_provided') {
+        if (!Array.isArray(question.fields) || question.fields.length === 0 || question.fields.some(f => typeof f !== 'string')) {
+            errors.push('"fields" must be a non-empty array of field names');
+        }
+    } else if (typeof question.field !== 'string' || !question.field.trim()) {
+        errors.push('"field" is required');
+    }
+    if (question.type === 'choice') {
+        if (!question.points || typeof question.points !== 'object' || !Object.values(question.points).every(isPoints)) {
+            errors.push('"points" must map each answer to a number of points');
+        }
+    } else if (!isPoints(question.points)) {
+        errors.push('"points" must be a number of at least 0');
+    }
+    if (question.type === 'list') {
+        if (!isPoints(question.max)) errors.push('"max" must be a number of at least 0');
+        if (question.per_additional !== undefined && !isPoints(question.per_additional)) errors.push('"per_additional" must be a number of at least 0');
+    }
+    if (question.type === 'number_at_least' && typeof question.min !== 'number') errors.push('"min" must be a number');
+    if (question.when !== undefined && (typeof question.when?.field !== 'string' || !('equals' in question.when || 'not_equals' in question.when))) {
+        errors.push('"when" needs a "field" and "equals" or "not_equals"');
+    }
+    return errors;
+}
+
+/**
+ * Sections whose questions add up to more than 100 points, as messages
+ */
+function overweightSections(config) {
+    return (Array.isArray(config.sections) ? config.sections : [])
+        .map((section, i) => {
+            // Only sections whose questions are valid can be totalled
+            if (!Array.isArray(section?.questions) || section.questions.some(question => validateScoringQuestion(question).length > 0)) return null;
+            const maxPoints = section.questions.reduce((sum, question) => sum + maxQuestionPoints(question), 0);
+            return maxPoints > 100 ? `sections[${i}] (${section.key}): questions add up to ${maxPoints} points - a section scores at most 100` : null;
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Active scoring config for a persona (null for personas scored by the LLM, such as the legacy layout)
+ */
+function getScoringRules(persona) {
+    const entry = scoringEntry(persona);
+    return entry ? entry.versions[entry.active] : null;
+}
+
+/**
+ * A persona's { active, versions } registry entry, or null - own keys only, so user input
+ * such as "constructor" or "toString" never resolves to an Object.prototype property
+ */
+function scoringEntry(persona) {
+    return typeof persona === 'string' && Object.hasOwn(scoringConfig.personas, persona) ? scoringConfig.personas[persona] : null;
+}
+
+/**
+ * Score an intake with the persona's active scoring config
+ * Returns { readiness_score: { overall, breakdown, explanation }, status_label, status_description, scoring_config: { persona, version } }
+ * explanation has one entry per section: { key, label, weight, score, points_earned, points_possible, capped,
+ * contribution, questions: [{ field | fields, answer, points, points_possible, shown, rule }] }
+ * contribution is the section's share of the overall score (score x weight, one decimal)
+ */
+function calculatePersonaReadiness(persona, intakeResponses) {
+    const rules = getScoringRules(persona);
+    if (!rules) {
+        throw new Error(`No scoring rules for persona: ${persona}`);
+    }
+
+    const breakdown = {};
+    const explanation = [];
+    let weighted = 0;
+    rules.sections.forEach(section => {
+        const answers = intakeResponses[section.intake_section] || {};
+        const questions = section.questions.map(question => explainQuestion(question, answers));
+        const earned = questions.reduce((sum, question) => sum + question.points, 0);
+        breakdown[section.key] = Math.min(100, earned);
+        weighted += breakdown[section.key] * section.weight;
+        explanation.push({
+            key: section.key,
+            label: section.label,
+            weight: section.weight,
+            score: breakdown[section.key],
+            points_earned: earned,
+            points_possible: questions.reduce((sum, question) => sum + question.points_possible, 0),
+            capped: earned > 100,
+            contribution: Math.round(breakdown[section.key] * section.weight * 10) / 10,
+            questions
+        });
+    });
+
+    const overall = Math.round(weighted);
+    const status = rules.statuses.find(s => overall >= s.min) || rules.statuses[rules.statuses.length - 1];
+    return {
+        readiness_score: { overall, breakdown, explanation },
+        status_label: status.label,
+        status_description: status.description,
+        scoring_config: { persona, version: rules.version }
+    };
+}
+
+/**
+ * Points earned for one question (0 when unanswered or hidden by its `when` condition)
+ */
+function scoreQuestion(question, answers) {
+    if (!isQuestionShown(question, answers)) return 0;
+
+    const answer = answers[question.field];
+    switch (question.type) {
+        case 'provided':
+            return isAnswered(answer) ? question.points : 0;
+        case 'choice':
+            return choicePoints(question, answer) || 0;
+        case 'list': {
+            const count = Array.isArray(answer) ? answer.filter(isAnswered).length : 0;
+            if (count === 0) return 0;
+            return Math.min(question.max, question.points + (count - 1) * (question.per_additional || 0));
+        }
+        case 'all_provided':
+            return question.fields.every(field => isAnswered(answers[field])) ? question.points : 0;
+        case 'number_at_least':
+            return parseFloat(answer) >= question.min ? question.points : 0;
+        default:
+            throw new Error(`Unknown scoring rule type: ${question.type}`);
+    }
+}
+
+/**
+ * Points for a choice answer, or null when it is not one of the question's options
+ * Own keys only - an answer such as "constructor" must not match an Object.prototype property
+ */
+function choicePoints(question, answer) {
+    if (typeof answer !== 'string') return null;
+    const option = answer.trim();
+    return Object.prototype.hasOwnProperty.call(question.points, option) ? question.points[option] : null;
+}
+
+/**
+ * One question's line in the score explanation: the answer, points earned and possible, and the rule
+ * in words. A question hidden by its `when` condition is worth 0 of 0 points
+ */
+function explainQuestion(question, answers) {
+    const target = question.fields ? { fields: question.fields } : { field: question.field };
+    const answer = question.fields
+        ? Object.fromEntries(question.fields.map(field => [field, answers[field] ?? null]))
+        : (answers[question.field] ?? null);
+    const possible = maxQuestionPoints(question);
+
+    if (!isQuestionShown(question, answers)) {
+        const condition = 'equals' in question.when ? `is "${question.when.equals}"` : `is not "${question.when.not_equals}"`;
+        return { ...target, answer, points: 0, points_possible: 0, shown: false, rule: `Only asked when ${question.when.field} ${condition}` };
+    }
+
+    const points = scoreQuestion(question, answers);
+    let rule;
+    switch (question.type) {
+        case 'provided':
+            rule = `${possible} points when answered`;
+            break;
+        case 'choice': {
+            const [bestAnswer] = Object.entries(question.points).sort((a, b) => b[1] - a[1])[0] || [];
+            rule = choicePoints(question, answer) !== null
+                ? `"${answer.trim()}" scores ${points}${points < possible ? `; "${bestAnswer}" scores ${possible}` : ''}`
+                : `Unanswered or unknown answer scores 0; "${bestAnswer}" scores ${possible}`;
+            break;
+        }
+        case 'list':
+            rule = `${question.points} points for the first item${question.per_additional ? ` and ${question.per_additional} for each further item` : ''}, up to ${question.max}`;
+            break;
+        case 'all_provided':
+            rule = `${possible} points when ${question.fields.join(' and ')} are answered`;
+            break;
+        case 'number_at_least':
+            rule = `${possible} points when the answer is at least ${question.min}`;
+            break;
+    }
+    return { ...target, answer, points, points_possible: possible, shown: true, rule };
+}
+
+/**
+ * False when the question's `when` condition hides it in the form
+ */
+function isQuestionShown(question, answers) {
+    if (!question.when) return true;
+    const value = answers[question.when.field];
+    if ('equals' in question.when) return value === question.when.equals;
+    if ('not_equals' in question.when) return value !== question.when.not_equals;
+    return true;
+}
+
+function isAnswered(value) {
+    if (Array.isArray(value)) return value.length > 0;
+    if (typeof value === 'string') return value.trim().length > 0;
+    return value !== null && value !== undefined && value !== false;
+}
+
+/**
+ * Computed scores as a prompt block; the LLM uses them for score_impact but does not change them
+ * With the intake, the exact gains of the top single-answer changes (findScoreImprovements) are listed too.
+ * Only field names and fixed choice options are included - never the current answers, which can hold PII
+ */
+function formatReadinessForPrompt(persona, scoring, intakeResponses = null) {
+    const lines = getScoringRules(persona).sections.map(section =>
+        `- ${section.key}: ${scoring.readiness_score.breakdown[section.key]}/100 (weight ${Math.round(section.weight * 100)}%)`
+    );
+    const improvements = intakeResponses ? findScoreImprovements(persona, intakeResponses).slice(0, SIMULATION_MAX_IMPROVEMENTS) : [];
+    const gains = improvements.map(improvement =>
+        `- ${improvement.section}.${improvement.field}${improvement.best_answer ? ` = "${improvement.best_answer}"` : ' answered'}: ${improvement.section} ${improvement.section_before} -> ${improvement.section_after}, overall ${improvement.overall_before} -> ${improvement.overall_after} (+${improvement.gain})`
+    );
+    return `Overall: ${scoring.readiness_score.overall}/100 - status "${scoring.status_label}" (${scoring.status_description})
+${lines.join('\n')}${gains.length > 0 ? `
+
+Exact score impact of single answer changes (use these numbers for score_impact):
+${gains.join('\n')}` : ''}`;
+}
+
+// ============================================
+// Helper Functions: Rule-Based Assessment
+// ============================================
+// A complete assessment without an LLM (mode "rule_based"), used when the assessment LLM is not
+// configured or fails. Scores come from the scoring config (getScoringRules); red flags, action items, the plan
+// and insights come from the fixed rules below.
+
+// Red flag rules per persona; `test` receives the whole intake
+const RULE_BASED_RED_FLAGS = {
+    prospect: [
+        {
+            section: 'Templates', severity: 'medium',
+            test: i => i.prospect_section_3_templates?.complexity === 'High',
+            issue: 'High template complexity',
+            impact: 'Template setup will need more build and review cycles'
+        },
+        {
+            section: 'Scope Clarity', severity: 'medium',
+            test: i => i.prospect_section_2_scope_clarity?.contract_templates === 'No, need help',
+            issue: 'Contract templates are not available yet',
+            impact: 'Template setup cannot start until templates are drafted'
+        },
+        {
+            section: 'Assisted Migration', severity: 'high',
+            test: i => i.prospect_section_4_assisted_migration?.data_cleanliness === 'Messy',
+            issue: 'Legacy contract data is messy',
+            impact: 'Data cleanup will extend the migration phase'
+        },
+        {
+            section: 'Systems & Integrations', severity: 'high',
+            test: i => isAnswered(i.prospect_section_5_systems_integrations?.systems_used) && i.prospect_section_5_systems_integrations?.api_access === 'No',
+            issue: 'Integrations needed without API access',
+            impact: 'Integrations are blocked until API access is granted'
+        },
+        {
+            section: 'Systems & Integrations', severity: 'medium',
+            test: i => isAnswered(i.prospect_section_5_systems_integrations?.systems_used) && i.prospect_section_5_systems_integrations?.api_access === 'Not sure',
+            issue: 'API access for integrations is unconfirmed',
+            impact: 'Integration scope and timeline cannot be confirmed'
+        },
+        {
+            section: 'Timeline Readiness', severity: 'medium',
+            test: i => !isAnswered(i.prospect_section_6_timeline_readiness?.go_live_timeline) || i.prospect_section_6_timeline_readiness?.go_live_timeline === 'Not sure',
+            issue: 'No target go-live timeline',
+            impact: 'Implementation cannot be scheduled'
+        }
+    ],
+    customer: [
+        {
+            section: 'Purchased Scope', severity: 'high', category: 'template',
+            test: i => i.customer_section_2_purchased_scope?.template_readiness === 'Not ready',
+            issue: 'Templates are not ready',
+            impact: 'Will delay the template setup phase by 2-4 weeks'
+        },
+        {
+            section: 'Templates', severity: 'medium', category: 'template',
+            test: i => i.customer_section_3_templates?.assisted_templates === 'Yes' && i.customer_section_3_templates?.complexity === 'High',
+            issue: 'High template complexity',
+            impact: 'Template setup will need more build and review cycles'
+        },
+        {
+            section: 'Migration', severity: 'high', category: 'migration',
+            test: i => i.customer_section_4_migration?.migration_needed === 'Yes' && i.customer_section_4_migration?.data_cleanliness === 'Messy',
+            issue: 'Legacy contract data is messy',
+            impact: 'Data cleanup will extend the migration phase'
+        },
+        {
+            section: 'Integrations', severity: 'high', category: 'integration',
+            test: i => isAnswered(i.customer_section_5_integrations?.integration_systems) && i.customer_section_5_integrations?.api_access === 'No',
+            issue: 'Integrations needed without API access',
+            impact: 'Integrations are blocked until API access is granted'
+        },
+        {
+            section: 'Integrations', severity: 'medium', category: 'integration',
+            test: i => isAnswered(i.customer_section_5_integrations?.integration_systems) && i.customer_section_5_integrations?.api_access === 'Not sure',
+            issue: 'API access for integrations is unconfirmed',
+            impact: 'Integration scope and timeline cannot be confirmed'
+        },
+        {
+            section: 'Integrations', severity: 'medium', category: 'integration',
+            test: i => isAnswered(i.customer_section_5_integrations?.integration_systems) && i.customer_section_5_integrations?.webhooks_support === 'No',
+            issue: 'Integrated systems do not support webhooks',
+            impact: 'Real-time sync may need a polling or middleware workaround'
+        },
+        {
+            section: 'Security & Access', severity: 'high', category: 'security',
+            test: i => i.customer_section_7_security_access?.dpa_status === 'Not started',
+            issue: 'Data processing agreement not started',
+            impact: 'Customer data cannot be loaded until the DPA is signed'
+        },
+        {
+            section: 'Security & Access', severity: 'medium', category: 'security',
+            test: i => i.customer_section_7_security_access?.security_needs === 'Yes',
+            issue: 'Security review required',
+            impact: 'May delay go-live by 1-3 weeks'
+        },
+        {
+            section: 'Stakeholders', severity: 'medium', category: 'integration',
+            test: i => !isAnswered(i.customer_section_1_stakeholders?.technical_contact_name),
+            issue: 'No technical contact identified',
+            impact: 'Integration and SSO setup have no owner on the customer side'
+        }
+    ],
+    implementation_manager: [
+        {
+            section: 'Customer Context', severity: 'medium',
+            test: i => i.im_section_1_customer_context?.complexity === 'High',
+            issue: 'High complexity implementation',
+            impact: 'Plan for extra build and UAT time'
+        },
+        {
+            section: 'Scope & Deliverables', severity: 'medium',
+            test: i => i.im_section_2_scope_deliverables?.custom_development === 'Yes',
+            issue: 'Custom development in scope',
+            impact: 'Needs engineering capacity and adds delivery risk'
+        },
+        {
+            section: 'Integrations', severity: 'medium',
+            test: i => i.im_section_4_integrations?.integration_engineering_effort === 'Yes',
+            issue: 'Integrations need engineering effort',
+            impact: 'Engineering must be scheduled before integration work can start'
+        },
+        {
+            section: 'Integrations', severity: 'medium',
+            test: i => i.im_section_4_integrations?.integration_engineering_effort === 'Not sure',
+            issue: 'Integration engineering effort unknown',
+            impact: 'Integration timeline cannot be confirmed'
+        }
+    ]
+};
+
+// Task text for improving an answer (keyed by section.field); other gaps get a generic "complete" task
+const RULE_BASED_ACTION_TASKS = {
+    'scope_clarity.contract_templates': 'Collect the contract templates you plan to use in SpotDraft into one shared folder',
+    'scope_clarity.legacy_contracts': 'Gather the legacy contracts to be migrated into one location',
+    'assisted_migration.data_cleanliness': 'Clean up legacy contract data before migration: consistent file names, no duplicates, key metadata in a tracker',
+    'systems_integrations.api_access': 'Confirm API access for the systems to integrate with your IT team',
+    'purchased_scope.template_readiness': 'Finalize contract templates with the legal team',
+    'integrations.api_access': 'Confirm API access for the systems to integrate with your IT team',
+    'integrations.webhooks_support': 'Confirm webhook support for the systems to integrate with your IT team',
+    'security_access.dpa_status': 'Complete and sign the data processing agreement (DPA)',
+    'uploads.templates': 'Upload your contract templates to the assessment',
+    'uploads.sample_contracts': 'Upload sample executed contracts to the assessment'
+};
+
+const LEGACY_STATUSES = [
+    { min: 80, label: 'Ready to Proceed', description: "Your organization is well-prepared for implementation. Minor items may need attention, but you're ready to move forward." },
+    { min: 60, label: 'Ready with Minor Blockers', description: 'Your organization is well-prepared for implementation. A few items need attention before go-live.' },
+    { min: 40, label: 'Needs Preparation', description: 'Some preparation is needed before implementation can begin. Address the identified blockers first.' },
+    { min: 0, label: 'Significant Preparation Required', description: 'Significant preparation is required before implementation. Please address the critical blockers identified.' }
+];
 
-        const responseData = {
-            readiness_score: readinessScore,
-            status_label: statusLabel,
-            status_description: statusDescription,
-            red_flags: redFlags,
-            action_items: actionItems,
-            implementation_plan: implementationPlan,
-            ai_insights: aiInsights,
-            gemini_request: geminiRequest,
-            gemini_response: geminiResponse
-        };
-        
-        console.log('Assessment response prepared:', {
-            overall_score: readinessScore?.overall,
-            red_flags_count: redFlags?.length || 0,
-            has_gemini_request: !!geminiRequest,
-            has_gemini_response: !!geminiResponse,
-            request_length: geminiRequest?.length || 0,
-            response_length: geminiResponse?.length || 0
-        });
-        
-        res.json({
-            success: true,
-            data: responseData
-        });
+/**
+ * Full assessment from rules only - same fields as the LLM path
+ * `implementationPlan` is the IM plan from createIMImplementationPlan (IM persona only)
+ */
+function calculateRuleBasedAssessment(intakeResponses, implementationPlan = null) {
+    const persona = intakeResponses.user_type;
+    if (!getScoringRules(persona)) {
+        return calculateLegacyRuleBasedAssessment(intakeResponses);
+    }
 
-    } catch (error) {
-        console.error('Error assessing readiness:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Failed to assess readiness. Please try again.'
-        });
+    const scoring = calculatePersonaReadiness(persona, intakeResponses);
+    const redFlags = identifyPersonaRedFlags(persona, intakeResponses);
+    const actionItems = generatePersonaActionItems(persona, intakeResponses, redFlags);
+    const plan = persona === 'implementation_manager'
+        ? (implementationPlan || createIMImplementationPlan(intakeResponses))
+        : createPersonaImplementationPlan(persona, intakeResponses, scoring);
+
+    const result = {
+        ...scoring,
+        red_flags: redFlags,
+        action_items: actionItems,
+        implementation_plan: plan,
+        ai_insights: generateRuleBasedInsights(persona, scoring, redFlags, actionItems)
+    };
+    if (persona === 'prospect') {
+        result.preparation_list = actionItems.customer.map(item => item.task);
     }
-});
+    return result;
+}
 
-// ============================================
-// Helper Functions: Order Form Parsing
-// ============================================
+function identifyPersonaRedFlags(persona, intakeResponses) {
+    const flags = RULE_BASED_RED_FLAGS[persona]
+        .filter(rule => rule.test(intakeResponses))
+        .map(({ section, issue, impact, severity, category }) => (category ? { section, issue, impact, severity, category } : { section, issue, impact, severity }));
 
-/**
- * Extract order form data using Google Gemini AI
- */
-async function extractOrderFormDataWithGemini(textContent, fileBuffer, fileType) {
-    // Ensure we have a working model - reinitialize if needed with a known working model
-    if (!geminiModel || !genAI) {
-        if (!GEMINI_API_KEY) {
-            throw new Error('Gemini API key not configured');
+    // The IM form captures risks and blockers directly
+    if (persona === 'implementation_manager') {
+        const context = intakeResponses.im_section_1_customer_context || {};
+        (context.known_risks || []).forEach(risk => {
+            flags.push({ section: 'Customer Context', issue: `Known risk: ${risk}`, impact: 'Identified by the implementation manager', severity: 'medium' });
+        });
+        const preKnown = intakeResponses.im_section_4_integrations?.pre_known_blockers;
+        if (isAnswered(preKnown)) {
+            flags.push({ section: 'Integrations', issue: `Integration blocker: ${preKnown.trim()}`, impact: 'May delay integration delivery', severity: 'medium' });
         }
-        if (!genAI) {
-            genAI = new GoogleGenerativeAI(GEMINI_API_KEY);
+        const blockers = intakeResponses.im_section_5_timeline_expectations?.known_blockers;
+        if (isAnswered(blockers)) {
+            flags.push({ section: 'Timeline Expectations', issue: `Known blocker: ${blockers.trim()}`, impact: 'May move the go-live date', severity: 'high' });
         }
-        // Always use gemini-2.5-flash which we know works
-        geminiModel = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-        console.log('Reinitialized Gemini model with gemini-2.5-flash');
     }
-
-    const prompt = `You are an expert at extracting structured data from order forms and contracts. 
-Analyze the following document text and extract the following information in JSON format:
-
-{
-    "organisation_name": "extract the company/organization name",
-    "purchased_modules": ["list of modules like Template Setup, Migration, Integrations"],
-    "template_count": number or null,
-    "migration_contract_count": number or null,
-    "integration_systems": ["list of systems like Salesforce, HubSpot, DocuSign, etc."]
+    return flags;
 }
 
-Rules:
-- Only extract information that is explicitly stated in the document
-- If information is not found, use null for numbers and empty array for lists
-- For organisation_name, extract the full company name
-- For purchased_modules, look for mentions of: Template Setup, Migration, Integrations, or similar module names
-- For template_count, look for numbers associated with templates
-- For migration_contract_count, look for numbers of contracts to be migrated
-- For integration_systems, identify any third-party systems mentioned (Salesforce, HubSpot, DocuSign, SSO, Jira, Google Forms, Cloud Storage, etc.)
+/**
+ * Score gains from answering each open question with its best answer, highest gain first
+ * Each gain: { section, field, answer, best_answer, section_before, section_after, overall_before, overall_after, gain }
+ */
+function findScoreImprovements(persona, intakeResponses) {
+    const rules = getScoringRules(persona);
+    const baseline = calculatePersonaReadiness(persona, intakeResponses);
+    const improvements = [];
+
+    rules.sections.forEach(section => {
+        const answers = intakeResponses[section.intake_section] || {};
+        section.questions.forEach(question => {
+            const earned = scoreQuestion(question, answers);
+            if (!isQuestionShown(question, answers) || earned >= maxQuestionPoints(question)) return;
+
+            const changes = bestAnswerChanges(question, answers);
+            const simulated = JSON.parse(JSON.stringify(intakeResponses));
+            simulated[section.intake_section] = { ...answers, ...changes };
+            const after = calculatePersonaReadiness(persona, simulated);
+            const gain = after.readiness_score.overall - baseline.readiness_score.overall;
+            if (after.readiness_score.breakdown[section.key] <= baseline.readiness_score.breakdown[section.key]) return;
+
+            const fields = question.fields || [question.field];
+            improvements.push({
+                section: section.key,
+                section_label: section.label,
+                field: fields.join('+'),
+                answer: question.fields ? fields.map(field => answers[field] ?? null) : (answers[question.field] ?? null),
+                best_answer: question.type === 'choice' ? changes[question.field] : null,
+                section_before: baseline.readiness_score.breakdown[section.key],
+                section_after: after.readiness_score.breakdown[section.key],
+                overall_before: baseline.readiness_score.overall,
+                overall_after: after.readiness_score.overall,
+                gain
+            });
+        });
+    });
 
-Document text:
-${textContent}
+    return improvements.sort((a, b) => (b.gain - a.gain) || ((b.section_after - b.section_before) - (a.section_after - a.section_before)));
+}
 
-Return ONLY valid JSON, no additional text or explanation.`;
+function maxQuestionPoints(question) {
+    if (question.type === 'choice') return Math.max(...Object.values(question.points));
+    if (question.type === 'list') return question.max;
+    return question.points;
+}
 
-    try {
-        // Ensure we have a valid model - if not, try to get one
-        if (!geminiModel && genAI) {
-            geminiModel = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-        }
-        
-        const result = await geminiModel.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        // Extract JSON from response (handle markdown code blocks if present)
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        } else if (jsonText.startsWith('```')) {
-            jsonText = jsonText.replace(/```\n?/g, '').trim();
-        }
-        
-        const extractedData = JSON.parse(jsonText);
-        
-        // Validate and normalize the data
-        return {
-            organisation_name: extractedData.organisation_name || '',
-            purchased_modules: Array.isArray(extractedData.purchased_modules) ? extractedData.purchased_modules : [],
-            template_count: extractedData.template_count ? parseInt(extractedData.template_count) : null,
-            migration_contract_count: extractedData.migration_contract_count ? parseInt(extractedData.migration_contract_count) : null,
-            integration_systems: Array.isArray(extractedData.integration_systems) ? extractedData.integration_systems : []
-        };
-    } catch (error) {
-        console.error('Error in Gemini extraction:', error);
-        // If it's a model error, try to reinitialize
-        if (error.message && error.message.includes('not found')) {
-            console.log('Attempting to reinitialize with gemini-2.5-flash...');
-            if (genAI) {
-                try {
-                    geminiModel = genAI.getGenerativeModel({ model: 'gemini-2.5-flash' });
-                    // Retry once
-                    const result = await geminiModel.generateContent(prompt);
-                    const response = await result.response;
-                    const text = response.text();
-                    let jsonText = text.trim();
-                    if (jsonText.startsWith('```json')) {
-                        jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-                    } else if (jsonText.startsWith('```')) {
-                        jsonText = jsonText.replace(/```\n?/g, '').trim();
-                    }
-                    const extractedData = JSON.parse(jsonText);
-                    return {
-                        organisation_name: extractedData.organisation_name || '',
-                        purchased_modules: Array.isArray(extractedData.purchased_modules) ? extractedData.purchased_modules : [],
-                        template_count: extractedData.template_count ? parseInt(extractedData.template_count) : null,
-                        migration_contract_count: extractedData.migration_contract_count ? parseInt(extractedData.migration_contract_count) : null,
-                        integration_systems: Array.isArray(extractedData.integration_systems) ? extractedData.integration_systems : []
-                    };
-                } catch (retryError) {
-                    throw error; // Throw original error
-                }
-            }
+/**
+ * Answers that earn a question's full points (placeholders for free text and lists)
+ */
+function bestAnswerChanges(question, answers) {
+    switch (question.type) {
+        case 'choice':
+            return { [question.field]: Object.entries(question.points).sort((a, b) => b[1] - a[1])[0][0] };
+        case 'list': {
+            const items = question.per_additional ? 1 + Math.ceil((question.max - question.points) / question.per_additional) : 1;
+            return { [question.field]: Array.from({ length: items }, (_, index) => `Item ${index + 1}`) };
         }
-        throw error;
+        case 'all_provided':
+            return Object.fromEntries(question.fields.filter(field => !isAnswered(answers[field])).map(field => [field, 'Provided']));
+        case 'number_at_least':
+            return { [question.field]: question.min };
+        default:
+            return { [question.field]: 'Provided' };
     }
 }
 
-function extractOrderFormData(text) {
-    const data = {
-        organisation_name: '',
-        purchased_modules: [],
-        template_count: null,
-        migration_contract_count: null,
-        integration_systems: []
-    };
+function generatePersonaActionItems(persona, intakeResponses, redFlags) {
+    const today = currentDate();
+    const deadline = (days) => new Date(today.getTime() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const priorityFor = (gain) => (gain >= 5 ? 'high' : gain >= 2 ? 'medium' : 'low');
+    const daysFor = { high: 7, medium: 14, low: 28 };
+    const isIM = persona === 'implementation_manager';
+    const owner = isIM ? 'Implementation Manager' : 'Customer Team';
+
+    const answerItems = [];
+    redFlags.filter(flag => flag.severity === 'high').forEach(flag => {
+        answerItems.push({
+            task: `Resolve: ${flag.issue}`,
+            section: flag.section,
+            priority: 'high',
+            deadline: deadline(daysFor.high),
+            owner,
+            score_impact: flag.impact
+        });
+    });
 
-    // Extract organization name (look for common patterns)
-    const orgPatterns = [
-        /(?:company|organization|organisation|client|customer)[\s:]+([A-Z][A-Za-z\s&]+)/i,
-        /(?:name|entity)[\s:]+([A-Z][A-Za-z\s&]+)/i
-    ];
-    
-    for (const pattern of orgPatterns) {
-        const match = text.match(pattern);
-        if (match && match[1]) {
-            data.organisation_name = match[1].trim();
-            break;
+    findScoreImprovements(persona, intakeResponses).forEach(improvement => {
+        const key = `${improvement.section}.${improvement.field}`;
+        const unanswered = !isAnswered(improvement.answer) || (Array.isArray(improvement.answer) && !improvement.answer.some(isAnswered));
+        let task = RULE_BASED_ACTION_TASKS[key];
+        if (!task && unanswered) {
+            task = `Complete "${improvement.field.replace(/\+/g, ' and ').replace(/_/g, ' ')}" in the ${improvement.section_label} section`;
         }
-    }
-
-    // Extract modules (look for module names)
-    const moduleKeywords = {
-        'Template Setup': ['template', 'template setup', 'template configuration'],
-        'Migration': ['migration', 'data migration', 'contract migration', 'historical'],
-        'Integrations': ['integration', 'integrate', 'api', 'webhook', 'connect']
-    };
+        if (!task) return; // The answer is a fact about the project (e.g. template complexity), not something to fix
+        const priority = priorityFor(improvement.gain);
+        answerItems.push({
+            task,
+            section: improvement.section_label,
+            priority,
+            deadline: deadline(daysFor[priority]),
+            owner,
+            score_impact: `Will improve ${improvement.section} from ${improvement.section_before} to ${improvement.section_after} (+${improvement.section_after - improvement.section_before} points), increasing the overall score from ${improvement.overall_before} to ${improvement.overall_after} (+${improvement.gain})`
+        });
+    });
 
-    for (const [module, keywords] of Object.entries(moduleKeywords)) {
-        for (const keyword of keywords) {
-            if (text.toLowerCase().includes(keyword.toLowerCase())) {
-                if (!data.purchased_modules.includes(module)) {
-                    data.purchased_modules.push(module);
-                }
-                break;
-            }
-        }
+    const spotdraftItems = [{
+        task: 'Schedule the implementation kickoff meeting',
+        section: 'Project Setup',
+        priority: 'high',
+        deadline: deadline(7),
+        owner: 'SpotDraft Implementation Team',
+        score_impact: null
+    }];
+    const scope = implementationScope(persona, intakeResponses);
+    if (scope.migration) {
+        spotdraftItems.push({ task: 'Run a migration planning session and share the metadata template', section: 'Migration', priority: 'medium', deadline: deadline(14), owner: 'SpotDraft Migration Team', score_impact: null });
     }
-
-    // Extract template count
-    const templateMatch = text.match(/(?:template|templates)[\s:]+(?:count|number|quantity|qty)[\s:]*(\d+)/i);
-    if (templateMatch) {
-        data.template_count = parseInt(templateMatch[1]);
-    } else {
-        // Look for standalone numbers near "template"
-        const templateNumMatch = text.match(/(\d+)[\s]*(?:template|templates)/i);
-        if (templateNumMatch) {
-            data.template_count = parseInt(templateNumMatch[1]);
-        }
+    if (scope.integrations.length > 0) {
+        spotdraftItems.push({ task: `Run an integration planning session for ${scope.integrations.join(', ')}`, section: 'Integrations', priority: 'medium', deadline: deadline(14), owner: 'SpotDraft Integration Team', score_impact: null });
     }
 
-    // Extract migration contract count
-    const migrationMatch = text.match(/(?:migration|migrate|contracts?)[\s:]+(?:count|number|quantity|qty|of)[\s:]*(\d+)/i);
-    if (migrationMatch) {
-        data.migration_contract_count = parseInt(migrationMatch[1]);
-    } else {
-        const contractNumMatch = text.match(/(\d+)[\s]*(?:contracts?|documents?)[\s]*(?:to|for)[\s]*(?:migrate|migration)/i);
-        if (contractNumMatch) {
-            data.migration_contract_count = parseInt(contractNumMatch[1]);
-        }
+    if (isIM) {
+        return { customer: [], spotdraft: spotdraftItems, internal: answerItems };
     }
+    return { customer: answerItems, spotdraft: spotdraftItems };
+}
 
-    // Extract integration systems
-    const integrationSystems = ['Salesforce', 'HubSpot', 'DocuSign', 'SSO', 'Jira', 'Google Forms', 'Cloud Storage'];
-    for (const system of integrationSystems) {
-        if (text.toLowerCase().includes(system.toLowerCase())) {
-            data.integration_systems.push(system);
-        }
+/**
+ * What the implementation covers, from the persona's intake: { templates, migration, integrations[] }
+ */
+function implementationScope(persona, intakeResponses) {
+    if (persona === 'prospect') {
+        return {
+            templates: intakeResponses.prospect_section_3_templates?.assisted_templates === 'Yes',
+            migration: intakeResponses.prospect_section_4_assisted_migration?.assisted_migration === 'Yes',
+            integrations: intakeResponses.prospect_section_5_systems_integrations?.systems_used || []
+        };
+    }
+    if (persona === 'customer') {
+        return {
+            templates: intakeResponses.customer_section_3_templates?.assisted_templates === 'Yes',
+            migration: intakeResponses.customer_section_4_migration?.migration_needed === 'Yes',
+            integrations: intakeResponses.customer_section_5_integrations?.integration_systems || []
+        };
     }
+    return {
+        templates: isAnswered(intakeResponses.im_section_2_scope_deliverables?.template_count),
+        migration: intakeResponses.im_section_3_migration_details?.assisted_migration === 'Yes' || intakeResponses.im_section_3_migration_details?.csv_migration_required === 'Yes',
+        integrations: intakeResponses.im_section_4_integrations?.integration_types || []
+    };
+}
 
-    return data;
+/**
+ * Week-by-week plan for prospect and customer intakes (same shape as the LLM plan)
+ */
+function createPersonaImplementationPlan(persona, intakeResponses, scoring) {
+    const scope = implementationScope(persona, intakeResponses);
+    const section = (name) => intakeResponses[`${persona}_section_${name}`] || {};
+    const phases = [];
+    let week = 1;
+    const addPhase = (name, weeks, activities, milestones, responsible) => {
+        const duration = weeks === 1 ? `Week ${week}` : `Week ${week}-${week + weeks - 1}`;
+        phases.push({
+            phase: phases.length + 1,
+            name,
+            duration,
+            activities,
+            milestones,
+            dependencies: phases.length ? `${phases[phases.length - 1].name} complete` : 'Signed order form',
+            responsible
+        });
+        week += weeks;
+    };
+
+    if (scoring.readiness_score.overall < 60) {
+        addPhase('Readiness Preparation', 2,
+            ['Work through the high-priority action items', 'Confirm owners for templates, migration and integrations'],
+            ['Open red flags resolved or owned'], 'Customer');
+    }
+    addPhase('Kickoff & Setup', 1,
+        ['Kickoff meeting and scope confirmation', 'Workspace setup and user provisioning'],
+        ['Project plan agreed', 'Users invited'], 'Both');
+
+    const complexTemplates = section('3_templates').complexity === 'High'
+        || intakeResponses.customer_section_2_purchased_scope?.template_readiness === 'Not ready';
+    addPhase('Template Setup', scope.templates ? (complexTemplates ? 3 : 2) : 1,
+        ['Share final templates with SpotDraft', 'Configure templates, clauses and workflows', 'Review rounds with the legal team'],
+        ['Templates configured and approved'], scope.templates ? 'Both' : 'Customer');
+
+    if (scope.migration) {
+        const migration = persona === 'prospect' ? section('4_assisted_migration') : section('4_migration');
+        const largeVolume = /2000\+/.test(migration.volume_of_contracts || migration.migration_contract_count || '');
+        addPhase('Contract Migration', 2 + (migration.data_cleanliness === 'Messy' ? 1 : 0) + (largeVolume ? 1 : 0),
+            ['Export legacy contracts and metadata', 'Map metadata to SpotDraft fields', 'Migrate contracts and validate samples'],
+            ['Legacy contracts migrated and spot-checked'], 'Both');
+    }
+    if (scope.integrations.length > 0) {
+        const apiAccess = (persona === 'prospect' ? section('5_systems_integrations') : section('5_integrations')).api_access;
+        addPhase('Integrations', 2 + (apiAccess === 'Yes' ? 0 : 1),
+            [`Connect ${scope.integrations.join(', ')}`, 'Configure field mappings and triggers', 'Integration testing'],
+            ['Integrations live in the test workspace'], 'Both');
+    }
+    addPhase('UAT & Training', 1,
+        ['User acceptance testing', 'Admin and end-user training'],
+        ['UAT sign-off'], 'Both');
+    addPhase('Go-Live & Hypercare', 1,
+        ['Production go-live', 'Hypercare support and issue triage'],
+        ['Live in production'], 'SpotDraft');
+
+    const totalWeeks = week - 1;
+    const goLive = new Date(currentDate().getTime() + totalWeeks * 7 * 24 * 60 * 60 * 1000);
+    return {
+        recommended_go_live: goLive.toISOString().split('T')[0],
+        high_level_timeline: `${totalWeeks} weeks across ${phases.length} phases`,
+        ...(persona === 'prospect' ? { estimated_effort_band: totalWeeks <= 6 ? 'Small' : totalWeeks <= 10 ? 'Medium' : 'Large' } : {}),
+        phases
+    };
 }
 
-function calculateConfidence(extractedData, textContent) {
-    let confidence = 0.5; // Base confidence
+function generateRuleBasedInsights(persona, scoring, redFlags, actionItems) {
+    const sections = getScoringRules(persona).sections
+        .map(section => ({ label: section.label, score: scoring.readiness_score.breakdown[section.key] }))
+        .sort((a, b) => b.score - a.score);
+    const highFlags = redFlags.filter(flag => flag.severity === 'high');
+    const tasks = [...(actionItems.customer || []), ...(actionItems.internal || [])].map(item => item.task);
+    const overall = scoring.readiness_score.overall;
+    const lowest = sections[sections.length - 1];
 
-    // Increase confidence based on extracted data
-    if (extractedData.organisation_name) confidence += 0.1;
-    if (extractedData.purchased_modules.length > 0) confidence += 0.15;
-    if (extractedData.template_count) confidence += 0.1;
-    if (extractedData.migration_contract_count) confidence += 0.1;
-    if (extractedData.integration_systems.length > 0) confidence += 0.05;
+    return {
+        key_strengths: sections.filter(s => s.score >= 70).slice(0, 3).map(s => `${s.label} is well covered (${s.score}/100)`),
+        critical_concerns: [
+            ...highFlags.map(flag => flag.issue),
+            ...sections.filter(s => s.score < 50).reverse().map(s => `${s.label} is incomplete (${s.score}/100)`)
+        ].slice(0, 3),
+        recommendations: tasks.slice(0, 3),
+        risk_assessment: `${scoring.status_label} with an overall score of ${overall}/100 and ${highFlags.length} high-severity red flag(s). The weakest area is ${lowest.label} (${lowest.score}/100).`,
+        timeline_confidence: overall >= 80 && highFlags.length === 0 ? 'high' : overall >= 60 ? 'medium' : 'low'
+    };
+}
 
-    // Adjust based on text length (more content = potentially more reliable)
-    if (textContent.length > 1000) confidence += 0.05;
-    if (textContent.length < 200) confidence -= 0.1;
+/**
+ * Rule-based assessment for the legacy section layout, built on calculateReadinessScore and friends
+ */
+function calculateLegacyRuleBasedAssessment(intakeResponses) {
+    const legacySections = ['section_1_account_stakeholder', 'section_2_order_form_scope', 'section_3_template_readiness',
+        'section_4_migration_readiness', 'section_5_integration_readiness', 'section_6_business_process', 'section_7_security_compliance'];
+    // The legacy helpers expect every section to be present
+    const responses = { ...intakeResponses };
+    legacySections.forEach(key => { responses[key] = responses[key] || {}; });
+
+    const readinessScore = calculateReadinessScore(responses);
+    const status = LEGACY_STATUSES.find(s => readinessScore.overall >= s.min) || LEGACY_STATUSES[LEGACY_STATUSES.length - 1];
+    const redFlags = identifyRedFlags(responses);
+    const highFlags = redFlags.filter(flag => flag.severity === 'high');
+    const actionItems = generateActionItems(responses, redFlags);
+    const sections = Object.entries(readinessScore.breakdown).sort((a, b) => b[1] - a[1]);
 
-    return Math.min(0.98, Math.max(0.3, confidence));
+    return {
+        readiness_score: readinessScore,
+        status_label: status.label,
+        status_description: status.description,
+        red_flags: redFlags,
+        action_items: actionItems,
+        implementation_plan: createImplementationPlan(responses, readinessScore),
+        ai_insights: {
+            key_strengths: sections.filter(([, score]) => score >= 70).slice(0, 3).map(([key, score]) => `${key.replace(/_/g, ' ')} is well covered (${score}/100)`),
+            critical_concerns: highFlags.map(flag => flag.issue).slice(0, 3),
+            recommendations: actionItems.customer.map(item => item.task).slice(0, 3),
+            risk_assessment: `${status.label} with an overall score of ${readinessScore.overall}/100 and ${highFlags.length} high-severity red flag(s).`,
+            timeline_confidence: readinessScore.overall >= 80 && highFlags.length === 0 ? 'high' : readinessScore.overall >= 60 ? 'medium' : 'low'
+        }
+    };
 }
 
-function generateFlags(extractedData, confidence) {
-    const flags = [];
+// ============================================
+// Helper Functions: Score Simulation
+// ============================================
 
-    if (confidence < 0.7) {
-        flags.push({
-            type: 'warning',
-            message: 'Low confidence in extracted data. Please verify the information below.'
-        });
+/**
+ * Score an intake before and after hypothetical answer changes
+ * `changes` has the intake's shape: { <intake_section>: { <field>: answer } }; null clears an answer
+ * Returns { persona, scoring_config, before, after, changes, sections, overall, status, top_improvements }
+ * top_improvements ranks single-answer changes on top of the changed intake (findScoreImprovements)
+ * Throws a statusCode 400 error for unknown sections, fields no question in the section scores,
+ * or a persona without a scoring config
+ */
+function simulateReadinessChanges(intakeResponses, changes = {}, limit = SIMULATION_MAX_IMPROVEMENTS) {
+    const persona = intakeResponses.user_type;
+    const rules = getScoringRules(persona);
+    if (!rules) {
+        throw simulationError(`Simulation needs a ${SCORING_PERSONAS.join(', ')} intake (user_type: ${persona || 'missing'})`);
     }
-
-    if (!extractedData.organisation_name) {
-        flags.push({
-            type: 'info',
-            message: 'Organization name not found. Please enter manually.'
-        });
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        throw simulationError('"changes" must be an object keyed by intake section');
     }
-
-    if (extractedData.purchased_modules.length === 0) {
-        flags.push({
-            type: 'warning',
-            message: 'No modules detected. Please select modules manually.'
-        });
+    const intakeSections = rules.sections.map(section => section.intake_section);
+    const unknown = Object.keys(changes).filter(key => !intakeSections.includes(key));
+    if (unknown.length > 0) {
+        throw simulationError(`Unknown intake section(s) for ${persona}: ${unknown.join(', ')}`);
     }
 
-    if (extractedData.template_count === null && extractedData.purchased_modules.includes('Template Setup')) {
-        flags.push({
-            type: 'warning',
-            message: 'Template count not explicitly stated, estimated from context'
+    const simulated = JSON.parse(JSON.stringify(intakeResponses));
+    const applied = [];
+    Object.entries(changes).forEach(([intakeSection, fields]) => {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            throw simulationError(`changes.${intakeSection} must be an object of field answers`);
+        }
+        const scoredFields = scoredIntakeFields(rules, intakeSection);
+        const unscored = Object.keys(fields).filter(field => !scoredFields.has(field));
+        if (unscored.length > 0) {
+            throw simulationError(`No ${persona} question in ${intakeSection} scores field(s): ${unscored.join(', ')}`);
+        }
+        simulated[intakeSection] = { ...(simulated[intakeSection] || {}) };
+        Object.entries(fields).forEach(([field, answer]) => {
+            applied.push({ intake_section: intakeSection, field, from: intakeResponses[intakeSection]?.[field] ?? null, to: answer });
+            simulated[intakeSection][field] = answer;
         });
-    }
+    });
 
-    return flags;
+    const before = calculatePersonaReadiness(persona, intakeResponses);
+    const after = calculatePersonaReadiness(persona, simulated);
+    const summary = scoring => ({
+        readiness_score: { overall: scoring.readiness_score.overall, breakdown: scoring.readiness_score.breakdown },
+        status_label: scoring.status_label,
+        status_description: scoring.status_description
+    });
+
+    return {
+        persona,
+        scoring_config: before.scoring_config,
+        before: summary(before),
+        after: summary(after),
+        changes: applied,
+        sections: rules.sections.map(section => ({
+            key: section.key,
+            label: section.label,
+            before: before.readiness_score.breakdown[section.key],
+            after: after.readiness_score.breakdown[section.key],
+            delta: after.readiness_score.breakdown[section.key] - before.readiness_score.breakdown[section.key]
+        })),
+        overall: {
+            before: before.readiness_score.overall,
+            after: after.readiness_score.overall,
+            delta: after.readiness_score.overall - before.readiness_score.overall
+        },
+        status: {
+            before: before.status_label,
+            after: after.status_label,
+            changed: before.status_label !== after.status_label
+        },
+        top_improvements: findScoreImprovements(persona, simulated).slice(0, limit)
+    };
+}
+
+/**
+ * Fields of an intake section that the scoring config reads: scored answers and `when` conditions
+ */
+function scoredIntakeFields(rules, intakeSection) {
+    const fields = new Set();
+    rules.sections
+        .filter(section => section.intake_section === intakeSection)
+        .forEach(section => section.questions.forEach(question => {
+            (question.fields || [question.field]).forEach(field => fields.add(field));
+            if (question.when) fields.add(question.when.field);
+        }));
+    return fields;
+}
+
+function simulationError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
 }
 
 // ============================================
@@ -1236,9 +5933,8 @@ function createIMImplementationPlan(responses) {
     // 7. Integration tasks
     const integrationTypes = integrations.integration_types || [];
     integrationTypes.forEach(type => {
-        const typeKey = type.toLowerCase()
-            .replace('crm (sfdc, hubspot, zoho)', 'crm')
-            .replace('custom api', 'custom_api');
+        // Intake labels and system names map to catalog categories (crm, cpq, hris, erp, custom_api, ...)
+        const typeKey = resolveIntegrationCategory(type);
         const integrationTasks = planLogic.integrations[typeKey];
         if (integrationTasks) {
             integrationTasks.forEach(t => {
@@ -1269,7 +5965,7 @@ function createIMImplementationPlan(responses) {
     const baseWeeks = 8;
     const durationMultiplier = complexityConfig.duration_multiplier * goLiveConfig.duration_multiplier;
     const estimatedWeeks = Math.round(baseWeeks * durationMultiplier);
-    const goLiveDate = new Date();
+    const goLiveDate = currentDate();
     goLiveDate.setDate(goLiveDate.getDate() + (estimatedWeeks * 7));
 
     // Engineering effort note (Section 5 was removed - use default)
@@ -1290,644 +5986,137 @@ function createIMImplementationPlan(responses) {
     };
 }
 
+/**
+ * Wrap an assessment failure, keeping the schema validation report, prompt version and raw response for the /assess error body
+ */
+function assessmentError(message, cause, rendered) {
+    const error = new Error(message);
+    error.statusCode = cause.statusCode;
+    error.validation = cause.validation;
+    error.prompt = promptReference(rendered);
+    error.geminiRequest = rendered.text;
+    error.geminiResponse = cause.responseText;
+    return error;
+}
+
 /**
  * Calculate Prospect readiness assessment using Gemini AI
  */
-async function calculateProspectReadinessWithGemini(intake_responses) {
-    if (!geminiModel) {
-        throw new Error('Gemini model not available');
-    }
-
-    const prompt = `You are an expert implementation consultant for SpotDraft. Analyze this Prospect readiness assessment.
-
-## PROSPECT ASSESSMENT DATA:
-${JSON.stringify(intake_responses, null, 2)}
-
-## YOUR TASK:
-Calculate readiness scores for 7 sections (each out of 100 points), then calculate an overall weighted score:
-
-**Section 1: Basics (Weight: 12%)**
-Use ONLY these questions from prospect_section_1_basics:
-- company_name: Provided = +33 points, Missing = +0
-- industry: Selected = +33 points, Missing = +0
-- user_count: Selected = +34 points, Missing = +0
-- Max: 100 points
-
-**Section 2: Scope Clarity (Weight: 15%)**
-Use ONLY these questions from prospect_section_2_scope_clarity:
-- modules_interested: At least 1 selected = +40 points (bonus +5 per additional module, max +40)
-- assisted_workflows: Yes = +20, No = +10, Missing = +0
-- contract_templates: "Yes, all available" = +20, "Yes, some available" = +15, "No, need help" = +5, Missing = +0
-- assisted_migration: Yes = +10, No = +5, Missing = +0
-- legacy_contracts: "Yes, all available" = +10, "Yes, some available" = +5, "No, need help" = +0, Missing = +0
-- Max: 100 points
-
-**Section 3: Templates (Weight: 15%)**
-Use ONLY these questions from prospect_section_3_templates:
-- assisted_templates: "Yes" = +30 points, "No" = +20, Missing = +0
-- complexity: "Low" = +30, "Mid" = +20, "High" = +10, Missing = +0
-- integrations_required: "No" = +20, "Yes" = +15, Missing = +0
-- conditional_outputs_required: "No" = +10, "Yes" = +5, Missing = +0
-- computations_required: "No" = +10, "Yes" = +5, Missing = +0
-- Max: 100 points
-
-**Section 4: Assisted Migration (Weight: 15%)**
-Use ONLY these questions from prospect_section_4_assisted_migration:
-- assisted_migration: "Yes" = +30 points, "No" = +20, Missing = +0
-- volume_of_contracts: Selected = +25 points, Missing = +0
-- current_location: Selected = +25 points, Missing = +0
-- data_cleanliness: "Clean" = +20, "Mixed" = +15, "Messy" = +10, Missing = +0
-- data_format: At least 1 selected = +20 points, Missing = +0
-- Max: 100 points
-
-**Section 5: Systems and Integrations (Weight: 15%)**
-Use ONLY these questions from prospect_section_5_systems_integrations:
-- systems_used: At least 1 selected = +50 points (bonus +5 per additional system, max +50)
-- api_access: Yes = +50, "Not sure" = +25, No = +0, Missing = +0
-- Max: 100 points
-
-**Section 6: Timeline Readiness (Weight: 13%)**
-Use ONLY these questions from prospect_section_6_timeline_readiness:
-- go_live_timeline: Selected = +70 points, Missing = +0
-- biggest_concern: Provided (optional) = +30 points bonus, Missing = +0
-- Max: 100 points (70 if concern not provided, 100 if provided)
-
-**Section 7: Additional Context (Weight: 15%)**
-Use ONLY these questions from prospect_section_7_additional_context (all optional):
-- internal_bottlenecks: Provided = +33 points, Missing = +0
-- compliance_deadlines: Provided = +33 points, Missing = +0
-- past_clm_experience: Provided = +34 points, Missing = +0
-- Max: 100 points
-
-**Overall Score Calculation:**
-Overall = (Section1 × 0.12) + (Section2 × 0.15) + (Section3 × 0.15) + (Section4 × 0.15) + (Section5 × 0.15) + (Section6 × 0.13) + (Section7 × 0.15)
-Round to nearest integer.
-
-**Status Label & Description:**
-- 80-100: "Ready to Purchase" - "You're well-prepared to start with SpotDraft. Minor preparation may be needed."
-- 60-79: "Ready with Preparation" - "You're ready to purchase, but some preparation is recommended."
-- 40-59: "Needs Preparation" - "Some preparation is needed before purchasing SpotDraft."
-- 0-39: "Significant Preparation Required" - "Significant preparation is required before purchasing."
-
-**Red Flags/Key Blockers:**
-Identify critical issues that could block or delay implementation. Focus on:
-- Template readiness gaps
-- Integration complexity
-- Timeline concerns
-- Migration challenges
-
-**Action Items:**
-Create clear, prioritized action items focused on IMPROVING READINESS SCORES. Analyze the readiness score breakdown and identify the LOWEST-SCORING sections - these should be prioritized first as they offer the biggest opportunity for score improvement.
-
-CRITICAL REQUIREMENTS FOR ACTION ITEMS:
-1. **Score Impact Analysis**: For each action item, calculate and state the EXACT score improvement:
-   - Current section score (e.g., "Your scope_clarity score is currently 60/100")
-   - Target score after completion (e.g., "Completing this will increase it to 85/100")
-   - Overall score improvement (e.g., "This will improve your overall readiness score by approximately 6 points (from 72 to 78)")
-   - Use the section weights: basics (12%), scope_clarity (15%), templates (15%), assisted_migration (15%), systems_integrations (15%), timeline_readiness (13%), additional_context (15%)
-
-2. **Prioritization**: Order items by:
-   - Highest potential overall score improvement first
-   - Lowest-scoring sections first (biggest opportunity)
-   - Quick wins that can be completed in 1-2 weeks before slower items
-
-3. **Specificity**: Each action item must be:
-   - SPECIFIC: "Upload all 10 contract templates to the SpotDraft portal" not "Prepare templates"
-   - ACTIONABLE: Include clear steps (e.g., "1. Gather all templates, 2. Review for completeness, 3. Upload via portal")
-   - MEASURABLE: State what "done" looks like (e.g., "All templates uploaded and confirmed")
-
-4. **Format**: Each action item must include:
-   - task: Clear, specific action with steps
-   - section: Which section it addresses
-   - priority: "high", "medium", or "low" based on score impact
-   - deadline: Realistic date (1-4 weeks from today, format: YYYY-MM-DD)
-   - owner: Who should complete it (e.g., "Legal Team", "IT Manager", "Project Lead")
-   - score_impact: String explaining current score, target score, and overall improvement (e.g., "Will improve scope_clarity from 60 to 85 (+25 points), increasing overall score by ~6 points")
-
-Generate 8-12 high-priority action items that directly address readiness gaps. These should be items the prospect can complete BEFORE purchasing to improve their readiness score. Order them by potential impact on overall score improvement (highest impact first). Focus on items that can improve scores by 5+ points overall.
-
-**Implementation Plan:**
-Generate a WEEK-WISE DETAILED implementation plan with specific activities for each week. Break down the timeline into weekly phases with detailed activities.
-
-REQUIREMENTS:
-- Break down the timeline into WEEK-BY-WEEK phases (e.g., "Week 1", "Week 2-3", "Week 4-5")
-- Each phase should specify the exact week(s) it covers
-- Include detailed, specific activities for each week
-- Show dependencies between phases
-- Include milestones and deliverables for each week
-- Specify who is responsible for activities (Customer team, SpotDraft team, or both)
-- Provide estimated effort band (Small, Medium, Large)
-
-Return ONLY valid JSON in this structure:
-{
-    "readiness_score": {
-        "overall": <integer 0-100>,
-        "breakdown": {
-            "basics": <integer 0-100>,
-            "scope_clarity": <integer 0-100>,
-            "templates": <integer 0-100>,
-            "assisted_migration": <integer 0-100>,
-            "systems_integrations": <integer 0-100>,
-            "timeline_readiness": <integer 0-100>,
-            "additional_context": <integer 0-100>
-        }
-    },
-    "status_label": "<string>",
-    "status_description": "<string>",
-    "red_flags": [
-        {
-            "section": "<string>",
-            "issue": "<string>",
-            "impact": "<string>",
-            "severity": "<high|medium|low>"
-        }
-    ],
-    "action_items": {
-        "customer": [
-            {
-                "task": "<string>",
-                "section": "<string>",
-                "priority": "<high|medium|low>",
-                "deadline": "<YYYY-MM-DD>",
-                "owner": "<string>",
-                "score_impact": "<string explaining current score, target score, and overall improvement>"
-            }
-        ],
-        "spotdraft": []
-    },
-    "implementation_plan": {
-        "recommended_go_live": "<YYYY-MM-DD>",
-        "high_level_timeline": "<string>",
-        "estimated_effort_band": "<Small|Medium|Large>",
-        "phases": [
-            {
-                "phase": <integer>,
-                "name": "<string>",
-                "duration": "<string - must specify weeks, e.g., 'Week 1', 'Week 2-3', 'Week 4-5'>",
-                "activities": ["<string - specific activities for this week>"],
-                "milestones": ["<string - key deliverables for this week>"],
-                "dependencies": "<string - what must be completed before this phase>",
-                "responsible": "<string - Customer, SpotDraft, or Both>"
-            }
-        ]
-    },
-    "preparation_list": ["<string>"],
-    "ai_insights": {
-        "key_strengths": ["<string>"],
-        "critical_concerns": ["<string>"],
-        "recommendations": ["<string>"],
-        "risk_assessment": "<string>",
-        "timeline_confidence": "<high|medium|low>"
+async function calculateProspectReadinessWithGemini(intake_responses, scoring, emit = null) {
+    if (!isLLMAvailable('assessment')) {
+        throw new Error('Assessment LLM not available');
     }
-}`;
+
+    const redactor = createPIIRedactor();
+    const rendered = renderPrompt('assessment-prospect', {
+        intake_json: JSON.stringify(redactor.redactIntake(intake_responses), null, 2),
+        readiness_scores: formatReadinessForPrompt('prospect', scoring, intake_responses)
+    }, JSON.stringify(intake_responses));
+    const prompt = rendered.text;
 
     try {
-        const result = await geminiModel.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        } else if (jsonText.startsWith('```')) {
-            jsonText = jsonText.replace(/```\n?/g, '').trim();
-        }
-        
-        const assessmentData = JSON.parse(jsonText);
+        const { data, text, provider, model, fallback, validation } = await generateValidatedJSON('assessment', prompt, 'assessment-prospect', emit);
+        const assessmentData = redactor.restore(data);
         
         return {
-            readiness_score: assessmentData.readiness_score,
-            status_label: assessmentData.status_label,
-            status_description: assessmentData.status_description,
+            readiness_score: scoring.readiness_score,
+            status_label: scoring.status_label,
+            status_description: scoring.status_description,
             red_flags: assessmentData.red_flags || [],
             action_items: assessmentData.action_items || { customer: [], spotdraft: [] },
             implementation_plan: assessmentData.implementation_plan,
             preparation_list: assessmentData.preparation_list || [],
             ai_insights: assessmentData.ai_insights,
+            validation,
+            llm: { provider, model, fallback },
+            prompt: promptReference(rendered),
+            redaction: redactor.summary(),
             gemini_request: prompt,
             gemini_response: text
         };
     } catch (error) {
         console.error('Error calculating Prospect assessment with Gemini:', error);
-        throw new Error(`Prospect assessment failed: ${error.message}`);
+        throw assessmentError(`Prospect assessment failed: ${error.message}`, error, rendered);
     }
 }
 
 /**
  * Calculate Customer readiness assessment using Gemini AI
  */
-async function calculateCustomerReadinessWithGemini(intake_responses) {
-    if (!geminiModel) {
-        throw new Error('Gemini model not available');
-    }
-
-    const prompt = `You are an expert implementation consultant for SpotDraft. Analyze this Customer readiness assessment.
-
-## CUSTOMER ASSESSMENT DATA:
-${JSON.stringify(intake_responses, null, 2)}
-
-## YOUR TASK:
-Calculate readiness scores for 8 sections (each out of 100 points), then calculate an overall weighted score:
-
-**Section 1: Stakeholders (Weight: 13%)**
-Use ONLY these questions from customer_section_1_stakeholders:
-- primary_contact_name + primary_contact_role: Both provided = +40 points, Missing either = +0
-- technical_contact_name + technical_contact_role: Both provided = +40 points, Missing either = +0
-- team_distribution: At least 1 selected = +10 points, Missing = +0
-- decision_approver: Selected = +10 points, Missing = +0
-- Max: 100 points
-
-**Section 2: Purchased Scope (Weight: 15%)**
-Use ONLY these questions from customer_section_2_purchased_scope:
-- purchased_modules: At least 1 selected = +40 points (bonus +5 per additional module, max +40)
-- template_count: Selected = +30 points, Missing = +0
-- template_readiness: "Ready" = +30, "Partially ready" = +20, "Not ready" = +0, Missing = +0
-- Max: 100 points
-
-**Section 3: Templates (Weight: 15%)**
-Use ONLY these questions from customer_section_3_templates:
-- assisted_templates: "Yes" = +25 points, "No" = +15, Missing = +0
-- If assisted_templates is "Yes":
-  - complexity: "Low" = +20, "Mid" = +15, "High" = +10, Missing = +0
-  - integrations_required: "No" = +15, "Yes" = +10, Missing = +0
-  - conditional_outputs_required: "No" = +10, "Yes" = +5, Missing = +0
-  - computations_required: "No" = +10, "Yes" = +5, Missing = +0
-  - number_of_templates: Provided (numeric value >= 1) = +10 points, Missing or invalid = +0
-- If assisted_templates is "No": Skip the conditional questions (they are hidden)
-- Max: 100 points (15 if assisted_templates = "No", 100 if "Yes" and all conditional questions answered)
-
-**Section 4: Migration (Weight: 13%)**
-Use ONLY these questions from customer_section_4_migration:
-- migration_needed: Selected = +30 points, Missing = +0
-- If migration_needed is NOT "No": 
-  - migration_contract_count: Selected = +25 points, Missing = +0
-  - contract_storage: Selected = +25 points, Missing = +0
-  - data_cleanliness: Selected = +20 points, Missing = +0
-- If migration_needed is "No": Skip the 3 conditional questions (they are hidden)
-- Max: 100 points (30 if migration = "No", 100 if migration needed and all 3 answered)
-
-**Section 5: Integrations (Weight: 13%)**
-Use ONLY these questions from customer_section_5_integrations:
-- integration_systems: At least 1 selected = +40 points (bonus +5 per additional system, max +40)
-- api_access: "Yes" = +30, "Not sure" = +15, "No" = +0, Missing = +0
-- webhooks_support: "Yes" = +30, "Not sure" = +15, "No" = +0, Missing = +0
-- Max: 100 points
-
-**Section 6: Business Processes (Weight: 13%)**
-Use ONLY these questions from customer_section_6_business_processes:
-- approval_complexity: Selected = +50 points, Missing = +0
-- agreement_signers: Selected = +50 points, Missing = +0
-- Max: 100 points
-
-**Section 7: Security and Access (Weight: 10%)**
-Use ONLY these questions from customer_section_7_security_access:
-- sso_required: Selected = +35 points, Missing = +0
-- security_needs: "Yes" = +35, "No" = +30, Missing = +0
-- dpa_status: "Signed" = +30, "In progress" = +20, "Not started" = +0, Missing = +0
-- Max: 100 points
-
-**Section 8: Optional Uploads (Weight: 8%)**
-Use ONLY these questions from customer_section_8_uploads:
-- templates: Array has files = +50 points, Empty array = +0
-- sample_contracts: Array has files = +50 points, Empty array = +0
-- Max: 100 points (0 if nothing uploaded, 50 if one uploaded, 100 if both uploaded)
-
-**Overall Score Calculation:**
-Overall = (Section1 × 0.13) + (Section2 × 0.15) + (Section3 × 0.15) + (Section4 × 0.13) + (Section5 × 0.13) + (Section6 × 0.13) + (Section7 × 0.10) + (Section8 × 0.08)
-Round to nearest integer.
-
-**Status Label & Description:**
-- 80-100: "Ready to Proceed" - "Your organization is well-prepared for implementation."
-- 60-79: "Ready with Minor Blockers" - "A few items need attention before go-live."
-- 40-59: "Needs Preparation" - "Some preparation is needed before implementation can begin."
-- 0-39: "Significant Preparation Required" - "Significant preparation is required before implementation."
-
-**Red Flags/Blockers:**
-Identify blockers by category: template, migration, integration, security.
-
-**Action Items:**
-Create clear, prioritized action items focused on IMPROVING READINESS SCORES. Analyze the readiness score breakdown and identify the LOWEST-SCORING sections - these should be prioritized first as they offer the biggest opportunity for score improvement.
-
-CRITICAL REQUIREMENTS FOR ACTION ITEMS:
-1. **Score Impact Analysis**: For each action item, calculate and state the EXACT score improvement:
-   - Current section score (e.g., "Your uploads score is currently 0/100")
-   - Target score after completion (e.g., "Completing this will increase it to 100/100")
-   - Overall score improvement (e.g., "This will improve your overall readiness score by approximately 10 points (from 75 to 85)")
-   - Use the section weights: stakeholders (13%), purchased_scope (15%), templates (15%), migration (13%), integrations (13%), business_processes (13%), security_access (10%), uploads (8%)
-
-2. **Prioritization**: Order items by:
-   - Highest potential overall score improvement first
-   - Lowest-scoring sections first (biggest opportunity)
-   - Quick wins that can be completed in 1-2 weeks before slower items
-
-3. **Specificity**: Each action item must be:
-   - SPECIFIC: "Upload all 10 contract templates and 5 sample contracts to the SpotDraft portal" not "Upload templates"
-   - ACTIONABLE: Include clear steps (e.g., "1. Gather all templates from legal team, 2. Review for completeness, 3. Upload via portal, 4. Confirm receipt")
-   - MEASURABLE: State what "done" looks like (e.g., "All templates uploaded and confirmed by SpotDraft team")
-
-4. **Format**: Each action item must include:
-   - task: Clear, specific action with steps
-   - section: Which section it addresses
-   - priority: "high", "medium", or "low" based on score impact
-   - deadline: Realistic date (1-4 weeks from today, format: YYYY-MM-DD)
-   - owner: Who should complete it (e.g., "Legal Operations Manager", "IT Team", "SpotDraft Implementation Team")
-   - score_impact: String explaining current score, target score, and overall improvement (e.g., "Will improve uploads from 0 to 100 (+100 points), increasing overall score by ~10 points")
-
-Generate 8-12 high-priority action items for customer team and 4-6 for SpotDraft team. Prioritize items that address the lowest-scoring sections first, as these will have the biggest impact on improving readiness. Order them by potential impact on overall score improvement (highest impact first). Focus on items that can improve scores by 5+ points overall.
-
-**Implementation Plan:**
-Generate a WEEK-WISE DETAILED implementation plan with specific activities for each week. Break down the timeline into weekly phases with detailed activities.
-
-REQUIREMENTS:
-- Break down the timeline into WEEK-BY-WEEK phases (e.g., "Week 1", "Week 2-3", "Week 4-5")
-- Each phase should specify the exact week(s) it covers
-- Include detailed, specific activities for each week
-- Show dependencies between phases
-- Include milestones and deliverables for each week
-- Specify who is responsible for activities (Customer team, SpotDraft team, or both)
-- Activities should be specific and actionable (e.g., "Week 1: Upload all contract templates to SpotDraft portal" not "Week 1: Template preparation")
-
-Return ONLY valid JSON in this structure:
-{
-    "readiness_score": {
-        "overall": <integer 0-100>,
-        "breakdown": {
-            "stakeholders": <integer 0-100>,
-            "purchased_scope": <integer 0-100>,
-            "templates": <integer 0-100>,
-            "migration": <integer 0-100>,
-            "integrations": <integer 0-100>,
-            "business_processes": <integer 0-100>,
-            "security_access": <integer 0-100>,
-            "uploads": <integer 0-100>
-        }
-    },
-    "status_label": "<string>",
-    "status_description": "<string>",
-    "red_flags": [
-        {
-            "section": "<string>",
-            "issue": "<string>",
-            "impact": "<string>",
-            "severity": "<high|medium|low>",
-            "category": "<template|migration|integration|security>"
-        }
-    ],
-    "action_items": {
-        "customer": [...],
-        "spotdraft": [...]
-    },
-    "implementation_plan": {
-        "recommended_go_live": "<YYYY-MM-DD>",
-        "high_level_timeline": "<string>",
-        "phases": [
-            {
-                "phase": <integer>,
-                "name": "<string>",
-                "duration": "<string - must specify weeks, e.g., 'Week 1', 'Week 2-3', 'Week 4-5'>",
-                "activities": ["<string - specific activities for this week>"],
-                "milestones": ["<string - key deliverables for this week>"],
-                "dependencies": "<string - what must be completed before this phase>",
-                "responsible": "<string - Customer, SpotDraft, or Both>",
-                "status": "<Ready|Partially ready|Blocked|Scheduled>"
-            }
-        ]
-    },
-    "ai_insights": {
-        "key_strengths": ["<string>"],
-        "critical_concerns": ["<string>"],
-        "recommendations": ["<string>"],
-        "risk_assessment": "<string>",
-        "timeline_confidence": "<high|medium|low>"
+async function calculateCustomerReadinessWithGemini(intake_responses, scoring, emit = null) {
+    if (!isLLMAvailable('assessment')) {
+        throw new Error('Assessment LLM not available');
     }
-}`;
+
+    const redactor = createPIIRedactor();
+    const rendered = renderPrompt('assessment-customer', {
+        intake_json: JSON.stringify(redactor.redactIntake(intake_responses), null, 2),
+        readiness_scores: formatReadinessForPrompt('customer', scoring, intake_responses)
+    }, JSON.stringify(intake_responses));
+    const prompt = rendered.text;
 
     try {
-        const result = await geminiModel.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        } else if (jsonText.startsWith('```')) {
-            jsonText = jsonText.replace(/```\n?/g, '').trim();
-        }
-        
-        const assessmentData = JSON.parse(jsonText);
+        const { data, text, provider, model, fallback, validation } = await generateValidatedJSON('assessment', prompt, 'assessment-customer', emit);
+        const assessmentData = redactor.restore(data);
         
         return {
-            readiness_score: assessmentData.readiness_score,
-            status_label: assessmentData.status_label,
-            status_description: assessmentData.status_description,
+            readiness_score: scoring.readiness_score,
+            status_label: scoring.status_label,
+            status_description: scoring.status_description,
             red_flags: assessmentData.red_flags || [],
             action_items: assessmentData.action_items || { customer: [], spotdraft: [] },
             implementation_plan: assessmentData.implementation_plan,
             ai_insights: assessmentData.ai_insights,
+            validation,
+            llm: { provider, model, fallback },
+            prompt: promptReference(rendered),
+            redaction: redactor.summary(),
             gemini_request: prompt,
             gemini_response: text
         };
     } catch (error) {
         console.error('Error calculating Customer assessment with Gemini:', error);
-        throw new Error(`Customer assessment failed: ${error.message}`);
+        throw assessmentError(`Customer assessment failed: ${error.message}`, error, rendered);
     }
 }
 
 /**
  * Calculate IM readiness assessment using Gemini AI
  */
-async function calculateIMReadinessWithGemini(intake_responses, implementationPlan) {
-    if (!geminiModel) {
-        throw new Error('Gemini model not available');
-    }
-
-    const prompt = `You are an expert implementation consultant for SpotDraft. Analyze this Implementation Manager assessment and generate readiness insights.
-
-## IM ASSESSMENT DATA:
-${JSON.stringify(intake_responses, null, 2)}
-
-## IMPLEMENTATION PLAN (Already Generated):
-${JSON.stringify(implementationPlan, null, 2)}
-
-## YOUR TASK:
-Calculate readiness scores for 5 sections (each out of 100 points), then calculate an overall weighted score:
-
-**Section 1: Customer Context (Weight: 20%)**
-Use ONLY these questions from im_section_1_customer_context:
-- customer_name: Provided = +30 points, Missing = +0
-- package: Selected = +30 points, Missing = +0
-- complexity: Selected = +30 points, Missing = +0
-- known_risks: At least 1 selected = +10 points bonus (proactive identification), Empty array = +0
-- Max: 100 points (90 if no risks identified, 100 if risks identified)
-
-**Section 2: Scope & Deliverables (Weight: 20%)**
-Use ONLY these questions from im_section_2_scope_deliverables:
-- template_count: Selected = +30 points, Missing = +0
-- workflow_complexity: Selected = +30 points, Missing = +0
-- custom_development: Selected = +20 points, Missing = +0
-- custom_development_details: If custom_development is "Yes" and details provided = +20 points, Otherwise = +0
-- Max: 100 points (80 if custom_development = "No", 100 if "Yes" with details)
-
-**Section 3: Migration Details (Weight: 20%)**
-Use ONLY these questions from im_section_3_migration_details:
-- csv_migration_required: Selected = +33 points, Missing = +0
-- assisted_migration: Selected = +33 points, Missing = +0
-- metadata_type: Selected = +34 points, Missing = +0
-- migration_volume: Selected = +0 points (already counted in other fields), Missing = +0
-- Max: 100 points
-
-**Section 4: Integrations (Weight: 20%)**
-Use ONLY these questions from im_section_4_integrations:
-- integration_types: At least 1 selected = +40 points (bonus +5 per additional type, max +40)
-- integration_engineering_effort: Selected = +30 points, Missing = +0
-- integration_uat_rounds: Selected = +30 points, Missing = +0
-- pre_known_blockers: Provided (optional) = +0 points (informational only, not scored)
-- Max: 100 points
-
-**Section 5: Timeline Expectations (Weight: 20%)**
-Use ONLY these questions from im_section_5_timeline_expectations:
-- go_live_expectation: Selected = +70 points, Missing = +0
-- known_blockers: Provided (optional) = +30 points bonus, Missing or empty = +0
-- Max: 100 points (70 if blockers not provided, 100 if provided)
-
-**Overall Score Calculation:**
-Overall = (Section1 × 0.20) + (Section2 × 0.20) + (Section3 × 0.20) + (Section4 × 0.20) + (Section5 × 0.20)
-Round to nearest integer.
-
-**Status Label & Description:**
-- 80-100: "Plan Ready" - "All information captured. Ready to generate Rocketlane plan."
-- 60-79: "Plan Ready with Notes" - "Plan ready, but some areas need attention."
-- 40-59: "Incomplete Information" - "Some critical information missing for plan generation."
-- 0-39: "Significant Gaps" - "Significant information gaps. Please complete assessment."
-
-**Red Flags/Internal Notes:**
-Based on known risks and blockers identified. Include internal notes for SpotDraft team.
-
-**Action Items:**
-Create clear, prioritized action items focused on IMPROVING READINESS SCORES and addressing blockers. Analyze the readiness score breakdown and identify the LOWEST-SCORING sections - these should be prioritized first as they offer the biggest opportunity for score improvement.
-
-CRITICAL REQUIREMENTS FOR ACTION ITEMS:
-1. **Score Impact Analysis**: For each action item, calculate and state the EXACT score improvement:
-   - Current section score (e.g., "Your integrations score is currently 50/100")
-   - Target score after completion (e.g., "Completing this will increase it to 90/100")
-   - Overall score improvement (e.g., "This will improve your overall readiness score by approximately 8 points (from 70 to 78)")
-   - Use the section weights: customer_context (20%), scope_deliverables (20%), migration_details (20%), integrations (20%), timeline_expectations (20%)
-
-2. **Prioritization**: Order items by:
-   - Highest potential overall score improvement first
-   - Lowest-scoring sections first (biggest opportunity)
-   - Blockers that prevent plan generation before other items
-   - Quick wins that can be completed in 1-2 weeks before slower items
-
-3. **Specificity**: Each action item must be:
-   - SPECIFIC: "Complete security review questionnaire, gather required documentation, and submit to InfoSec team by [date]" not "Handle security review"
-   - ACTIONABLE: Include clear steps (e.g., "1. Download questionnaire, 2. Gather required docs, 3. Schedule review meeting, 4. Submit completed form")
-   - MEASURABLE: State what "done" looks like (e.g., "Security review approved and documented in system")
-
-4. **Format**: Each action item must include:
-   - task: Clear, specific action with steps
-   - section: Which section it addresses
-   - priority: "high", "medium", or "low" based on score impact and blocker status
-   - deadline: Realistic date (1-4 weeks from today, format: YYYY-MM-DD)
-   - owner: Who should complete it (e.g., "Customer IT Team", "SpotDraft Security Team", "Internal PM")
-   - score_impact: String explaining current score, target score, and overall improvement (e.g., "Will improve integrations from 50 to 90 (+40 points), increasing overall score by ~8 points")
-
-Generate 6-10 high-priority action items for customer team, 4-6 for SpotDraft team, and 3-5 for internal team. Prioritize items that address blockers and lowest-scoring sections first, as these will have the biggest impact on improving readiness and plan quality. Order them by potential impact on overall score improvement (highest impact first). Focus on items that can improve scores by 5+ points overall.
-
-**AI Insights:**
-Provide strategic insights for the implementation plan.
-
-Return ONLY valid JSON in this structure:
-{
-    "readiness_score": {
-        "overall": <integer 0-100>,
-        "breakdown": {
-            "customer_context": <integer>,
-            "scope_deliverables": <integer>,
-            "migration_details": <integer>,
-            "integrations": <integer>,
-            "internal_dependencies": <integer>,
-            "timeline_expectations": <integer>
-        }
-    },
-    "status_label": "<string>",
-    "status_description": "<string>",
-    "red_flags": [
-        {
-            "section": "<string>",
-            "issue": "<string>",
-            "impact": "<string>",
-            "severity": "<high|medium|low>"
-        }
-    ],
-    "action_items": {
-        "customer": [
-            {
-                "task": "<string>",
-                "section": "<string>",
-                "priority": "<high|medium|low>",
-                "deadline": "<YYYY-MM-DD>",
-                "owner": "<string>",
-                "score_impact": "<string explaining current score, target score, and overall improvement>"
-            }
-        ],
-        "spotdraft": [
-            {
-                "task": "<string>",
-                "section": "<string>",
-                "priority": "<high|medium|low>",
-                "deadline": "<YYYY-MM-DD>",
-                "owner": "<string>",
-                "score_impact": "<string explaining current score, target score, and overall improvement>"
-            }
-        ],
-        "internal": [
-            {
-                "task": "<string>",
-                "section": "<string>",
-                "priority": "<high|medium|low>",
-                "deadline": "<YYYY-MM-DD>",
-                "owner": "<string>",
-                "score_impact": "<string explaining current score, target score, and overall improvement>"
-            }
-        ]
-    },
-    "ai_insights": {
-        "key_strengths": [...],
-        "critical_concerns": [...],
-        "recommendations": [...],
-        "risk_assessment": "<string>",
-        "timeline_confidence": "<high|medium|low>"
+async function calculateIMReadinessWithGemini(intake_responses, implementationPlan, scoring, emit = null) {
+    if (!isLLMAvailable('assessment')) {
+        throw new Error('Assessment LLM not available');
     }
-}`;
+
+    const redactor = createPIIRedactor();
+    const rendered = renderPrompt('assessment-implementation-manager', {
+        intake_json: JSON.stringify(redactor.redactIntake(intake_responses), null, 2),
+        implementation_plan_json: JSON.stringify(redactor.redactValue(implementationPlan), null, 2),
+        readiness_scores: formatReadinessForPrompt('implementation_manager', scoring, intake_responses)
+    }, JSON.stringify(intake_responses));
+    const prompt = rendered.text;
 
     try {
-        const result = await geminiModel.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        } else if (jsonText.startsWith('```')) {
-            jsonText = jsonText.replace(/```\n?/g, '').trim();
-        }
-        
-        const assessmentData = JSON.parse(jsonText);
+        const { data, text, provider, model, fallback, validation } = await generateValidatedJSON('assessment', prompt, 'assessment-implementation-manager', emit);
+        const assessmentData = redactor.restore(data);
         
         return {
-            readiness_score: assessmentData.readiness_score,
-            status_label: assessmentData.status_label,
-            status_description: assessmentData.status_description,
+            readiness_score: scoring.readiness_score,
+            status_label: scoring.status_label,
+            status_description: scoring.status_description,
             red_flags: assessmentData.red_flags || [],
             action_items: assessmentData.action_items || { customer: [], spotdraft: [], internal: [] },
             ai_insights: assessmentData.ai_insights,
+            validation,
+            llm: { provider, model, fallback },
+            prompt: promptReference(rendered),
+            redaction: redactor.summary(),
             gemini_request: prompt,
             gemini_response: text
         };
     } catch (error) {
         console.error('Error calculating IM assessment with Gemini:', error);
-        throw new Error(`IM assessment failed: ${error.message}`);
+        throw assessmentError(`IM assessment failed: ${error.message}`, error, rendered);
     }
 }
 
@@ -2010,219 +6199,16 @@ function createImplementationPlan(responses, readinessScore) {
  * Calculate complete readiness assessment using Gemini AI
  * This replaces all manual calculations with AI-powered analysis
  */
-async function calculateReadinessWithGemini(intake_responses) {
-    if (!geminiModel) {
-        throw new Error('Gemini model not available');
-    }
-
-    const prompt = `You are an expert implementation consultant for SpotDraft, a contract lifecycle management (CLM) platform. Your task is to analyze a comprehensive implementation readiness assessment and calculate readiness scores, identify risks, and create an implementation plan.
-
-## REQUEST PAYLOAD (Input Data):
-${JSON.stringify(intake_responses, null, 2)}
-
-## CALCULATION INSTRUCTIONS:
-
-### 1. READINESS SCORE CALCULATION
-Calculate readiness scores for 7 sections (each out of 100 points), then calculate an overall weighted score:
-
-**Section 1: Account & Stakeholder (Weight: 15%)**
-- Organization name provided: +20 points
-- Primary POC complete (name, role, email, timezone): +20 points
-- Legal POC complete (name, role, email, timezone): +15 points
-- Technical POC complete (if integrations required): +10 points
-- Availability specified: +10 points
-- Communication channels selected: +10 points
-- Expected go-live date provided: +15 points
-- Max: 100 points
-
-**Section 2: Order Form Scope (Weight: 15%)**
-- Purchased modules identified: +30 points (10 per module: Template Setup, Migration, Integrations)
-- Template count specified (if Template Setup module): +15 points
-- Migration contract count specified (if Migration module): +15 points
-- Migration file formats specified: +10 points
-- Additional add-ons mentioned: +10 points
-- Max: 100 points
-
-**Section 3: Template Readiness (Weight: 20%)**
-- Templates finalized (Yes: +30, In review: +20, No: +0)
-- Template formats specified: +15 points
-- Conditional logic complexity (None: +15, Simple: +10, Moderate: +5, Complex: +0)
-- Dynamic rendering (No: +15, Yes-Simple: +10, Yes-Moderate: +5, Yes-Complex: +0)
-- No clause-level changes needed: +10 points
-- Approval matrices exist: +10 points
-- Template count specified: +10 points
-- Max: 100 points
-
-**Section 4: Migration Readiness (Weight: 15%)**
-- Contract count specified: +20 points
-- Contract types listed: +15 points
-- Structured naming (Yes-100%: +25, Partial: +15, None: +0)
-- Storage location specified: +15 points
-- Contract formats specified: +10 points
-- Existing metadata (Yes-fully: +15, Yes-partially: +10, No: +0)
-- Migration priority specified: +5 points
-- Max: 100 points
-
-**Section 5: Integration Readiness (Weight: 15%)**
-- Systems to integrate specified: +25 points (5 per system)
-- Admin access (Yes-all: +25, Yes-some: +15, No: +0)
-- Security approval status (No: +20, Not sure: +10, Yes: +5)
-- API/Webhook access available: +15 points
-- Decision maker identified: +10 points
-- Integration outcomes specified: +5 points
-- Max: 100 points
-
-**Section 6: Business Process (Weight: 10%)**
-- Approval workflow (Yes-documented: +30, Yes-informal: +20, No: +0)
-- Contracts per month specified: +15 points
-- Contract generators identified: +15 points
-- Bottlenecks described: +15 points
-- Phase 1 must-haves specified: +15 points
-- Workflow details provided (if workflow exists): +10 points
-- Max: 100 points
-
-**Section 7: Security & Compliance (Weight: 10%)**
-- Security review (Completed: +30, No: +20, Yes: +10)
-- Infosec approvals (No: +20, Not sure: +10, Yes: +5)
-- Data residency (No: +20, Not sure: +10, Yes: +5)
-- Custom SSO (No: +15, Yes: +10)
-- Security reviews specified (if review needed): +10 points
-- Max: 100 points
-
-**Overall Score Calculation:**
-Multiply each section score by its weight, then sum:
-Overall = (Section1 × 0.15) + (Section2 × 0.15) + (Section3 × 0.20) + (Section4 × 0.15) + (Section5 × 0.15) + (Section6 × 0.10) + (Section7 × 0.10)
-Round to nearest integer.
-
-### 2. STATUS LABEL & DESCRIPTION
-Based on overall score:
-- 80-100: "Ready to Proceed" - "Your organization is well-prepared for implementation. Minor items may need attention, but you're ready to move forward."
-- 60-79: "Ready with Minor Blockers" - "Your organization is well-prepared for implementation. A few items need attention before go-live."
-- 40-59: "Needs Preparation" - "Some preparation is needed before implementation can begin. Address the identified blockers first."
-- 0-39: "Significant Preparation Required" - "Significant preparation is required before implementation. Please address the critical blockers identified."
-
-### 3. RED FLAGS IDENTIFICATION
-Identify critical issues that could block or delay implementation. For each red flag, provide:
-- section: Which section it relates to
-- issue: Brief description of the problem
-- impact: How this affects the timeline/implementation
-- severity: "high", "medium", or "low"
-
-Examples:
-- Security review pending but not specified
-- Templates not finalized
-- No admin access for required integrations
-- Large migration volume with no structured naming
-- Missing critical POC information
-
-### 4. ACTION ITEMS
-Create actionable tasks for both customer and SpotDraft teams. For each item:
-- task: Specific action to take
-- section: Related section
-- priority: "high", "medium", or "low"
-- deadline: Suggested date (YYYY-MM-DD format, 1-4 weeks from today)
-- owner: Who should handle it
-
-### 5. IMPLEMENTATION PLAN
-Create a WEEK-WISE DETAILED phased implementation plan with:
-- recommended_go_live: Target date (YYYY-MM-DD, typically 8-12 weeks from today)
-- timeline_adjusted: true/false based on blockers
-- adjustment_reason: Why timeline was adjusted (if applicable)
-- phases: Array of implementation phases, each with:
-  - phase: Phase number (1, 2, 3, etc.)
-  - name: Phase name
-  - duration: MUST specify exact weeks (e.g., "Week 1", "Week 2-3", "Week 4-5", "Week 6-8")
-  - activities: Array of SPECIFIC activities for each week (e.g., "Week 1: Upload all contract templates to SpotDraft portal")
-  - milestones: Key deliverables for this phase/week
-  - dependencies: What must be completed before this phase
-  - responsible: Who handles activities (Customer, SpotDraft, or Both)
-  - status: "Ready", "Partially ready", "Blocked", or "Scheduled"
-  
-CRITICAL: Break down activities WEEK-BY-WEEK. Each phase should clearly indicate which week(s) it covers, and activities should be specific to those weeks.
-
-### 6. AI INSIGHTS
-Provide strategic insights:
-- key_strengths: 2-3 main strengths
-- critical_concerns: 2-3 main concerns
-- recommendations: 2-3 priority recommendations
-- risk_assessment: Brief risk assessment (1-2 sentences)
-- timeline_confidence: "high", "medium", or "low"
-
-## RESPONSE PAYLOAD (Required JSON Format):
-Return ONLY valid JSON in this exact structure (no markdown, no explanations):
-
-{
-    "readiness_score": {
-        "overall": <integer 0-100>,
-        "breakdown": {
-            "account_stakeholder": <integer 0-100>,
-            "order_form_scope": <integer 0-100>,
-            "template_readiness": <integer 0-100>,
-            "migration_readiness": <integer 0-100>,
-            "integration_readiness": <integer 0-100>,
-            "business_process": <integer 0-100>,
-            "security_compliance": <integer 0-100>
-        }
-    },
-    "status_label": "<string>",
-    "status_description": "<string>",
-    "red_flags": [
-        {
-            "section": "<string>",
-            "issue": "<string>",
-            "impact": "<string>",
-            "severity": "<high|medium|low>"
-        }
-    ],
-    "action_items": {
-        "customer": [
-            {
-                "task": "<string>",
-                "section": "<string>",
-                "priority": "<high|medium|low>",
-                "deadline": "<YYYY-MM-DD>",
-                "owner": "<string>",
-                "score_impact": "<string explaining current score, target score, and overall improvement>"
-            }
-        ],
-        "spotdraft": [
-            {
-                "task": "<string>",
-                "section": "<string>",
-                "priority": "<high|medium|low>",
-                "deadline": "<YYYY-MM-DD>",
-                "owner": "<string>",
-                "score_impact": "<string explaining current score, target score, and overall improvement>"
-            }
-        ]
-    },
-    "implementation_plan": {
-        "recommended_go_live": "<YYYY-MM-DD>",
-        "timeline_adjusted": <boolean>,
-        "adjustment_reason": "<string or null>",
-        "phases": [
-            {
-                "phase": <integer>,
-                "name": "<string>",
-                "duration": "<string - must specify weeks, e.g., 'Week 1', 'Week 2-3', 'Week 4-5'>",
-                "activities": ["<string - specific activities for this week>"],
-                "milestones": ["<string - key deliverables for this week>"],
-                "dependencies": "<string or null>",
-                "responsible": "<string - Customer, SpotDraft, or Both>",
-                "status": "<Ready|Partially ready|Blocked|Scheduled>"
-            }
-        ]
-    },
-    "ai_insights": {
-        "key_strengths": ["<string>"],
-        "critical_concerns": ["<string>"],
-        "recommendations": ["<string>"],
-        "risk_assessment": "<string>",
-        "timeline_confidence": "<high|medium|low>"
+async function calculateReadinessWithGemini(intake_responses, emit = null) {
+    if (!isLLMAvailable('assessment')) {
+        throw new Error('Assessment LLM not available');
     }
-}
 
-IMPORTANT: Return ONLY the JSON object, no additional text, no markdown code blocks, no explanations.`;
+    const redactor = createPIIRedactor();
+    const rendered = renderPrompt('assessment-legacy', {
+        intake_json: JSON.stringify(redactor.redactIntake(intake_responses), null, 2)
+    }, JSON.stringify(intake_responses));
+    const prompt = rendered.text;
 
     try {
         console.log('Sending assessment request to Gemini...');
@@ -2231,24 +6217,8 @@ IMPORTANT: Return ONLY the JSON object, no additional text, no markdown code blo
         
         // No timeout limits on Render - use full prompt for maximum accuracy
         // The model will process the complete data without truncation
-        const result = await geminiModel.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        // Extract JSON from response
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        } else if (jsonText.startsWith('```')) {
-            jsonText = jsonText.replace(/```\n?/g, '').trim();
-        }
-        
-        const assessmentData = JSON.parse(jsonText);
-        
-        // Validate required fields
-        if (!assessmentData.readiness_score || !assessmentData.readiness_score.overall) {
-            throw new Error('Invalid response: missing readiness_score');
-        }
+        const { data, text, provider, model, fallback, validation } = await generateValidatedJSON('assessment', prompt, 'assessment-legacy', emit);
+        const assessmentData = redactor.restore(data);
         
         return {
             readiness_score: assessmentData.readiness_score,
@@ -2258,12 +6228,16 @@ IMPORTANT: Return ONLY the JSON object, no additional text, no markdown code blo
             action_items: assessmentData.action_items || { customer: [], spotdraft: [] },
             implementation_plan: assessmentData.implementation_plan,
             ai_insights: assessmentData.ai_insights,
+            validation,
+            llm: { provider, model, fallback },
+            prompt: promptReference(rendered),
+            redaction: redactor.summary(),
             gemini_request: prompt,
             gemini_response: text
         };
     } catch (error) {
         console.error('Error calculating assessment with Gemini:', error);
-        throw new Error(`Gemini assessment failed: ${error.message}`);
+        throw assessmentError(`Gemini assessment failed: ${error.message}`, error, rendered);
     }
 }
 
@@ -2271,7 +6245,7 @@ IMPORTANT: Return ONLY the JSON object, no additional text, no markdown code blo
  * Generate AI-powered insights for the assessment
  */
 async function generateAIInsights(responses, readinessScore, redFlags) {
-    if (!geminiModel) {
+    if (!isLLMAvailable('insights')) {
         return {
             insights: null,
             gemini_request: null,
@@ -2279,42 +6253,24 @@ async function generateAIInsights(responses, readinessScore, redFlags) {
         };
     }
 
-    const prompt = `You are an expert implementation consultant analyzing a SpotDraft implementation readiness assessment.
-
-Assessment Summary:
-- Overall Readiness Score: ${readinessScore.overall}/100
-- Section Scores: ${JSON.stringify(readinessScore.breakdown)}
-- Red Flags: ${redFlags.length} identified
-
-Key Information:
-${JSON.stringify(responses, null, 2)}
-
-Provide concise, actionable insights in JSON format:
-{
-    "key_strengths": ["list 2-3 main strengths"],
-    "critical_concerns": ["list 2-3 main concerns"],
-    "recommendations": ["list 2-3 priority recommendations"],
-    "risk_assessment": "brief risk assessment (1-2 sentences)",
-    "timeline_confidence": "high/medium/low based on readiness"
-}
-
-Be specific and actionable. Focus on what will help ensure successful implementation.`;
+    const redactor = createPIIRedactor();
+    const rendered = renderPrompt('ai-insights', {
+        overall_score: readinessScore.overall,
+        section_scores_json: JSON.stringify(readinessScore.breakdown),
+        red_flag_count: redFlags.length,
+        responses_json: JSON.stringify(redactor.redactIntake(responses), null, 2)
+    }, JSON.stringify(responses));
+    const prompt = rendered.text;
 
     try {
-        const result = await geminiModel.generateContent(prompt);
-        const response = await result.response;
-        const text = response.text();
-        
-        // Extract JSON from response
-        let jsonText = text.trim();
-        if (jsonText.startsWith('```json')) {
-            jsonText = jsonText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-        } else if (jsonText.startsWith('```')) {
-            jsonText = jsonText.replace(/```\n?/g, '').trim();
-        }
+        const { data, text, provider, model, fallback, validation } = await generateValidatedJSON('insights', prompt, 'ai-insights');
         
         return {
-            insights: JSON.parse(jsonText),
+            insights: redactor.restore(data),
+            validation,
+            llm: { provider, model, fallback },
+            prompt: promptReference(rendered),
+            redaction: redactor.summary(),
             gemini_request: prompt,
             gemini_response: text
         };
@@ -2333,17 +6289,43 @@ app.get('/health', (req, res) => {
     res.json({ 
         status: 'ok', 
         timestamp: new Date().toISOString(),
-        gemini_available: !!geminiModel
+        gemini_available: LLM_TASKS.some(task => usableLLMCandidates(task).some(({ settings }) => settings.type === 'gemini')),
+        llm: Object.fromEntries(LLM_TASKS.map(task => {
+            const [primary, ...fallbacks] = resolveLLMCandidates(task).map(({ name, model }) => ({
+                provider: name,
+                model,
+                configured: getLLMProvider(name).isAvailable(model),
+                status: llmModelStatus[`${name}/${model}`]?.status || 'unchecked'
+            }));
+            return [task, { ...primary, available: isLLMAvailable(task), fallbacks }];
+        })),
+        llm_recording: LLM_RECORDING,
+        circuit_breakers: Object.fromEntries([...new Set(LLM_TASKS.flatMap(task => resolveLLMCandidates(task).map(({ name, model }) => `${name}/${model}`)))]
+            .map(target => [target, describeLLMBreaker(target)]))
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`SpotSmart API server running on port ${PORT}`);
-    console.log(`Health check: http://localhost:${PORT}/health`);
-    console.log(`Parse Order Form: POST http://localhost:${PORT}/parse-order-form`);
-    console.log(`Assess Readiness: POST http://localhost:${PORT}/assess`);
-});
+// Start server (not when required by a script such as eval-extraction.js)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`SpotSmart API server running on port ${PORT}`);
+        console.log(`Health check: http://localhost:${PORT}/health`);
+        console.log(`Parse Order Form: POST http://localhost:${PORT}/parse-order-form`);
+        console.log(`Assess Readiness: POST http://localhost:${PORT}/assess`);
+    });
+}
 
 module.exports = app;
 
+// Order form extraction steps, used by the golden-file evaluation (eval-extraction.js)
+module.exports.orderFormExtraction = {
+    detectDocumentFormat,
+    extractDocumentText,
+    buildOrderFormExtractionPrompt,
+    parseGeminiExtractionResponse,
+    extractOrderFormData,
+    parseLineItems,
+    applyLineItems,
+    ORDER_FORM_FIELD_LABELS
+};
+
@@ -0,0 +1,226 @@
+/**
+ * Offline end-to-end check of /assess and /parse-order-form against recorded LLM fixtures
+ * Starts server.js with LLM_RECORDING=replay, sends every case in fixtures/replay and compares
+ * each response with the case's .expected.json. No API key or network access is needed.
+ *
+ * Run: node test-llm-replay.js [options]
+ *   --record        Start the server with LLM_RECORDING=record instead (calls the configured LLM),
+ *                   saving fixtures/llm/*.json and rewriting each case's .expected.json
+ *   --case <name>   Only run one case
+ *
+ * Case layout - one JSON file per request:
+ *   fixtures/replay/<case>.json           { "endpoint": "/assess", "body": { ... } }
+ *                                         or { "endpoint": "/parse-order-form", "document": "<path>" }
+ *   fixtures/replay/<case>.expected.json  The recorded response, minus per-run fields
+ * A case fails when the response differs, or when it fell back to rules because a fixture is missing.
+ *
+ * The committed fixtures and mock-* cases were recorded with LLM_PROVIDER=mock, so they check the
+ * record/replay wiring and response handling, not what a real model answers. The run warns about this;
+ * re-record with a real provider key (and name those cases without the mock- prefix) to replay model output.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const args = process.argv.slice(2);
+const RECORD = args.includes('--record');
+const ONLY_CASE = args.includes('--case') ? args[args.indexOf('--case') + 1] : null;
+const CASES_DIR = path.join(__dirname, 'fixtures', 'replay');
+const FIXTURES_DIR = path.resolve(process.env.LLM_FIXTURES_DIR || path.join(__dirname, 'fixtures', 'llm'));
+const PORT = parseInt(process.env.REPLAY_TEST_PORT) || 3998;
+
+// Different on every run, so never compared
+const VOLATILE_FIELDS = ['trace_id', 'cache'];
+
+function loadCases() {
+    return fs.readdirSync(CASES_DIR)
+        .filter(file => file.endsWith('.json') && !file.endsWith('.expected.json'))
+        .map(file => ({ name: path.basename(file, '.json'), ...JSON.parse(fs.readFileSync(path.join(CASES_DIR, file), 'utf8')) }))
+        .filter(testCase => !ONLY_CASE || testCase.name === ONLY_CASE);
+}
+
+/**
+ * Number of LLM fixtures per "provider/model" they were recorded from
+ */
+function countFixtureSources() {
+    if (!fs.existsSync(FIXTURES_DIR)) return {};
+    return fs.readdirSync(FIXTURES_DIR)
+        .filter(file => file.endsWith('.json'))
+        .map(file => JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8')))
+        .reduce((counts, fixture) => {
+            const source = `${fixture.provider}/${fixture.model}`;
+            counts[source] = (counts[source] || 0) + 1;
+            return counts;
+        }, {});
+}
+
+function startServer() {
+    const server = spawn(process.execPath, [path.join(__dirname, 'server.js')], {
+        env: {
+            ...process.env,
+            PORT: String(PORT),
+            LLM_RECORDING: RECORD ? 'record' : 'replay',
+            ASSESSMENT_CACHE: 'off',
+            ASSESSMENT_TRACES: 'off'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    server.stdout.on('data', chunk => { output += chunk; });
+    server.stderr.on('data', chunk => { output += chunk; });
+    server.output = () => output;
+    return server;
+}
+
+function request(method, endpoint, body) {
+    return new Promise((resolve, reject) => {
+        const postData = body ? JSON.stringify(body) : null;
+        const req = http.request({
+            hostname: 'localhost',
+            port: PORT,
+            path: endpoint,
+            method,
+            headers: postData ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(postData) } : {}
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                try {
+                    resolve({ status: res.statusCode, body: JSON.parse(data) });
+                } catch (error) {
+                    reject(new Error(`Invalid JSON from ${endpoint}: ${error.message}`));
+                }
+            });
+        });
+        req.on('error', reject);
+        if (postData) req.write(postData);
+        req.end();
+    });
+}
+
+async function waitForServer(server) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+        if (server.exitCode !== null) throw new Error(`Server exited:\n${server.output()}`);
+        try {
+            await request('GET', '/health');
+            return;
+        } catch (error) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+    throw new Error('Server did not start within 10 seconds');
+}
+
+function requestBody(testCase) {
+    if (!testCase.document) return testCase.body;
+    const documentPath = path.join(__dirname, testCase.document);
+    return {
+        file: {
+            name: path.basename(documentPath),
+            type: 'application/octet-stream',
+            content: fs.readFileSync(documentPath).toString('base64')
+        }
+    };
+}
+
+function stripVolatile(value) {
+    if (Array.isArray(value)) return value.map(stripVolatile);
+    if (!value || typeof value !== 'object') return value;
+    return Object.fromEntries(Object.entries(value)
+        .filter(([key]) => !VOLATILE_FIELDS.includes(key))
+        .map(([key, item]) => [key, stripVolatile(item)]));
+}
+
+/**
+ * Paths where two JSON values differ (at most `limit` of them)
+ */
+function diffPaths(expected, actual, at = '', paths = [], limit = 10) {
+    if (paths.length >= limit) return paths;
+    if (expected && actual && typeof expected === 'object' && typeof actual === 'object' && Array.isArray(expected) === Array.isArray(actual)) {
+        const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+        keys.forEach(key => diffPaths(expected[key], actual[key], at ? `${at}.${key}` : key, paths, limit));
+    } else if (JSON.stringify(expected) !== JSON.stringify(actual)) {
+        paths.push(at || '(root)');
+    }
+    return paths;
+}
+
+/**
+ * Why a response did not come from the LLM fixtures, or null when it did
+ */
+function fallbackReason(testCase, body) {
+    if (!body.success) return `request failed: ${body.error}`;
+    if (testCase.endpoint === '/assess' && body.data.mode !== 'llm') return `rule-based fallback: ${body.data.fallback_reason}`;
+    if (testCase.endpoint === '/parse-order-form' && !body.llm) return 'pattern-matching fallback';
+    return null;
+}
+
+async function runCase(testCase) {
+    const response = await request('POST', testCase.endpoint, requestBody(testCase));
+    const reason = fallbackReason(testCase, response.body);
+    if (reason) return { success: false, error: reason };
+
+    const actual = stripVolatile(response.body);
+    const expectedPath = path.join(CASES_DIR, `${testCase.name}.expected.json`);
+    if (RECORD) {
+        fs.writeFileSync(expectedPath, JSON.stringify(actual, null, 2) + '\n');
+        return { success: true, recorded: true };
+    }
+    if (!fs.existsSync(expectedPath)) return { success: false, error: 'No .expected.json - run with --record first' };
+
+    const differences = diffPaths(JSON.parse(fs.readFileSync(expectedPath, 'utf8')), actual);
+    return differences.length === 0
+        ? { success: true }
+        : { success: false, error: `Response differs at ${differences.join(', ')}` };
+}
+
+async function runTests() {
+    const cases = loadCases();
+    if (cases.length === 0) {
+        console.error(`❌ No cases found in ${CASES_DIR}`);
+        process.exit(1);
+    }
+
+    console.log(`${RECORD ? '📼 Recording' : '▶️  Replaying'} ${cases.length} case(s) on port ${PORT}`);
+    if (!RECORD) {
+        const sources = countFixtureSources();
+        console.log(`Fixtures: ${Object.entries(sources).map(([source, count]) => `${count} from ${source}`).join(', ') || 'none'}`);
+        const mockFixtures = Object.entries(sources).filter(([source]) => source.startsWith('mock/')).reduce((sum, [, count]) => sum + count, 0);
+        if (mockFixtures > 0) {
+            console.log(`⚠️  ${mockFixtures} fixture(s) come from the mock provider - these cases check the replay wiring, not real model output`);
+        }
+    }
+    const server = startServer();
+    const results = [];
+    try {
+        await waitForServer(server);
+        for (const testCase of cases) {
+            try {
+                results.push({ name: testCase.name, ...(await runCase(testCase)) });
+            } catch (error) {
+                results.push({ name: testCase.name, success: false, error: error.message });
+            }
+        }
+    } finally {
+        server.kill();
+    }
+
+    results.forEach(result => {
+        const icon = result.success ? '✅' : '❌';
+        console.log(`${icon} ${result.name.padEnd(35)} ${result.recorded ? 'recorded' : result.error || 'matches'}`);
+    });
+
+    const failed = results.filter(result => !result.success).length;
+    if (failed > 0) {
+        console.log(`\n⚠️  ${failed}/${results.length} case(s) failed. Server output:\n${server.output()}`);
+        process.exit(1);
+    }
+    console.log(`\n🎉 All ${results.length} case(s) ${RECORD ? 'recorded' : 'matched their recordings'}`);
+}
+
+runTests().catch(error => {
+    console.error('\n❌ Fatal error:', error.message);
+    process.exit(1);
+});
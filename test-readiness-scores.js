@@ -1,6 +1,9 @@
 /**
  * Test script for readiness score generation across all 3 personas
- * Run: node test-readiness-scores.js
+ * Run: node test-readiness-scores.js (against a server on port 3000)
+ *
+ * For repeatable runs without a Gemini key, record the LLM responses once with
+ * LLM_RECORDING=record npm start, then run against LLM_RECORDING=replay npm start
  */
 
 const http = require('http');